@@ -0,0 +1,267 @@
+/**
+ * Built-in Tools
+ *
+ * Tools that are always available in the chat:
+ *   - search_documents: chunk search in the RAG documents (searchFromStore)
+ *   - lookup_entity:    entity lookup in the GraphRAG knowledge graph
+ *   - calculator:       arithmetic expressions
+ *   - get_current_datetime: current date and time
+ */
+
+import { registerTool } from './tool-registry';
+
+// ==========================================
+// Calculator
+// ==========================================
+
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  log: Math.log10,
+  ln: Math.log,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow
+};
+
+const MATH_CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * Evaluate an arithmetic expression without eval()
+ * Supports + - * / % ^, parentheses, unary minus, the functions in
+ * MATH_FUNCTIONS and the constants pi and e.
+ * @param {string} expression - e.g. "2 * (3 + 4) ^ 2"
+ * @returns {number} Result
+ */
+export function evaluateExpression(expression) {
+  const tokens = expression.match(/\d+(\.\d+)?(e[+-]?\d+)?|\.\d+|[a-zA-Z_]+|\*\*|[-+*/%^(),]|\S/g) || [];
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const next = () => tokens[position++];
+  const expect = (token) => {
+    if (next() !== token) {
+      throw new Error(`Expected "${token}"`);
+    }
+  };
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let value = parseTerm();
+    while (peek() === '+' || peek() === '-') {
+      value = next() === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  };
+
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let value = parseUnary();
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = next();
+      const right = parseUnary();
+      if (operator === '*') value *= right;
+      else if (operator === '/') value /= right;
+      else value %= right;
+    }
+    return value;
+  };
+
+  // unary := ('-' | '+') unary | power   (so that -2^2 = -4)
+  const parseUnary = () => {
+    if (peek() === '-') {
+      next();
+      return -parseUnary();
+    }
+    if (peek() === '+') {
+      next();
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  // power := primary (('^' | '**') unary)?  (right-associative)
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (peek() === '^' || peek() === '**') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  };
+
+  // primary := number | constant | function '(' args ')' | '(' expression ')'
+  const parsePrimary = () => {
+    const token = next();
+    if (token === undefined) {
+      throw new Error('Unexpected end of expression');
+    }
+    if (/^(\d|\.)/.test(token)) {
+      return parseFloat(token);
+    }
+    if (token === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    const name = token.toLowerCase();
+    if (name in MATH_CONSTANTS) {
+      return MATH_CONSTANTS[name];
+    }
+    if (name in MATH_FUNCTIONS) {
+      expect('(');
+      const args = [parseExpression()];
+      while (peek() === ',') {
+        next();
+        args.push(parseExpression());
+      }
+      expect(')');
+      return MATH_FUNCTIONS[name](...args);
+    }
+    throw new Error(`Unknown token "${token}"`);
+  };
+
+  const result = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected token "${tokens[position]}"`);
+  }
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+  return result;
+}
+
+// ==========================================
+// Tool Definitions
+// ==========================================
+
+registerTool({
+  name: 'search_documents',
+  description: 'Search the documents the user uploaded for RAG and return the most relevant passages with their sources. Use this for questions about the user\'s documents.',
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', description: 'Search query' },
+      k: { type: 'integer', description: 'Number of passages to return (1-10, default from the RAG settings)' }
+    },
+    required: ['query']
+  },
+  execute: async ({ query, k }, { model, ragSettings = {} }) => {
+    if (!query) throw new Error('query is required');
+
+    const count = parseInt(k) || ragSettings.retrieval?.topK || 3;
+    const { results } = await window.electronAPI.searchFromStore(query, Math.min(Math.max(count, 1), 10), {
+      mode: ragSettings.mode || 'embedding',
+      useChunkRAG: true,
+      useGraphRAG: false,
+      chatModel: model,
+      chatHistory: [],
+      retrieval: ragSettings.retrieval
+    });
+
+    if (results.length === 0) {
+      return 'No matching passages found.';
+    }
+
+    return results.map((doc, index) => {
+      const fileName = (doc.metadata?.source || 'Unknown').split('/').pop();
+      const page = doc.metadata?.page ? ` (p.${doc.metadata.page})` : '';
+      return `[${index + 1}] ${fileName}${page}\n${doc.pageContent}`;
+    }).join('\n---\n');
+  }
+});
+
+registerTool({
+  name: 'lookup_entity',
+  description: 'Look up a person, organization, concept or other entity in the knowledge graph extracted from the user\'s documents. Returns the entity, related entities with their relationships and passages that mention them.',
+  parameters: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', description: 'Name or short description of the entity' }
+    },
+    required: ['name']
+  },
+  execute: async ({ name }, { ragSettings = {} }) => {
+    if (!name) throw new Error('name is required');
+
+    const { entities, relatedEntities, chunks } = await window.electronAPI.lookupGraphEntity(name, 3, ragSettings.retrieval);
+    if (entities.length === 0) {
+      return `No entity matching "${name}" found in the knowledge graph.`;
+    }
+
+    const lines = ['Entities:'];
+    entities.forEach(entity => {
+      lines.push(`- ${entity.name} (${entity.type})${entity.description ? `: ${entity.description}` : ''}`);
+    });
+    if (relatedEntities.length > 0) {
+      lines.push('', 'Related entities:');
+      relatedEntities.forEach(entity => {
+        lines.push(`- ${entity.name} (${entity.type}) [${entity.relationship}]${entity.relationshipDescription ? `: ${entity.relationshipDescription}` : ''}`);
+      });
+    }
+    if (chunks.length > 0) {
+      lines.push('', 'Passages:');
+      chunks.forEach(chunk => {
+        lines.push(`- ${chunk.source}${chunk.page ? ` (p.${chunk.page})` : ''}: ${chunk.content}`);
+      });
+    }
+    return lines.join('\n');
+  }
+});
+
+registerTool({
+  name: 'calculator',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, sqrt, abs, round, floor, ceil, sin, cos, tan, log (base 10), ln, exp, min, max, pow, pi and e.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', description: 'Expression to evaluate, e.g. "(12.5 * 4) / 3"' }
+    },
+    required: ['expression']
+  },
+  execute: async ({ expression }) => {
+    if (!expression) throw new Error('expression is required');
+    return String(evaluateExpression(String(expression)));
+  }
+});
+
+registerTool({
+  name: 'get_current_datetime',
+  description: 'Get the current date and time.',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: { type: 'string', description: 'IANA time zone such as "Europe/Berlin" (default: local time zone)' }
+    }
+  },
+  execute: async ({ timezone } = {}) => {
+    const now = new Date();
+    const timeZone = timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    const formatted = now.toLocaleString('en-US', {
+      timeZone,
+      weekday: 'long',
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      timeZoneName: 'short'
+    });
+    return `${formatted} (ISO: ${now.toISOString()}, time zone: ${timeZone})`;
+  }
+});
@@ -0,0 +1,79 @@
+/**
+ * Chat Stream Helpers
+ *
+ * /chat-stream responds with NDJSON (application/x-ndjson): one typed event
+ * per line.
+ *   { type: 'content',   content }      - Part of the answer
+ *   { type: 'thinking',  content }      - Part of the model's reasoning
+ *   { type: 'tool_call', tool_calls }   - Tool calls requested by the model
+ *   { type: 'stats',     stats }        - Generation metrics from Ollama's final message
+ *   { type: 'error',     error }        - Ollama or server error
+ *   { type: 'done',      done_reason }  - End of the stream
+ */
+
+/**
+ * Read a /chat-stream response and call onEvent for every event
+ * Lines split across network chunks are buffered until they are complete.
+ * @param {Response} response - fetch() response
+ * @param {Function} onEvent - Called with each parsed event object
+ * @returns {Promise<void>} Resolves when the stream ends (rejects with AbortError when aborted)
+ */
+export async function readChatStream(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const handleLine = (line) => {
+    if (!line.trim()) return;
+    try {
+      onEvent(JSON.parse(line));
+    } catch (error) {
+      if (error instanceof SyntaxError) {
+        console.error('[ERROR] Invalid chat stream event:', line);
+        return;
+      }
+      throw error;
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop(); // 最後の要素は未完成の行の可能性がある
+    lines.forEach(handleLine);
+  }
+
+  buffer += decoder.decode();
+  handleLine(buffer);
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(2)}s`;
+}
+
+/**
+ * Format generation stats for display under a message
+ * @param {Object} stats - Payload of a "stats" event
+ * @returns {string} e.g. "⚡ 42.1 tok/s · 📥 512 prompt tokens · ⏱️ TTFT 0.84s"
+ */
+export function formatGenerationStats(stats) {
+  const parts = [];
+  if (stats.tokensPerSecond !== null && stats.tokensPerSecond !== undefined) {
+    parts.push(`⚡ ${stats.tokensPerSecond} tok/s`);
+  }
+  parts.push(`📥 ${stats.promptTokens} prompt tokens`);
+  parts.push(`📤 ${stats.evalTokens} tokens`);
+  if (stats.timeToFirstTokenMs !== null && stats.timeToFirstTokenMs !== undefined) {
+    parts.push(`⏱️ TTFT ${formatSeconds(stats.timeToFirstTokenMs)}`);
+  }
+  if (stats.loadDurationMs !== null && stats.loadDurationMs !== undefined) {
+    parts.push(`📦 Load ${formatSeconds(stats.loadDurationMs)}`);
+  }
+  if (stats.totalDurationMs !== null && stats.totalDurationMs !== undefined) {
+    parts.push(`Total ${formatSeconds(stats.totalDurationMs)}`);
+  }
+  return parts.join(' · ');
+}
@@ -0,0 +1,269 @@
+/**
+ * Inline Citations
+ *
+ * RAG answers cite the numbered chunks of the prompt as [1], [2] or [1, 3]
+ * (see buildRagPrompt()). The markers in a rendered answer are turned into
+ * badges that open a popover with the chunk text, file, page and retrieval
+ * score. Numbers without a retrieved chunk are flagged as invalid.
+ * The cited document can be opened in the document viewer.
+ */
+
+import { formatChunkLabel } from './rag-prompt';
+
+// [1] / [1, 3] / [1-3]（Markdownのリンク [text](url) は対象外）
+const CITATION_PATTERN = /\[(\d+(?:\s*[-–,]\s*\d+)*)\](?!\()/g;
+
+// 範囲指定 [1-20] のような誤爆を防ぐ上限
+const MAX_RANGE_SIZE = 20;
+
+// コードの中の [0] などはそのまま表示する
+const SKIPPED_ELEMENTS = new Set(['CODE', 'PRE', 'A', 'BUTTON']);
+
+let popover = null;
+
+// 旧形式から移行したチャンクには出典がない
+function canOpenSource(chunk) {
+  return !!chunk.source && chunk.source !== 'Unknown';
+}
+
+/**
+ * Open the source of a chunk in the document viewer at its page
+ * @param {Object} chunk - Record from toRetrievedContext()
+ */
+export function openChunkSource(chunk) {
+  window.electronAPI.openDocumentViewer({
+    source: chunk.source,
+    page: chunk.page ?? null,
+    highlight: chunk.content
+  });
+}
+
+/**
+ * Parse the reference numbers of one citation marker
+ * @param {string} text - Inside of the brackets, e.g. "1, 3" or "2-4"
+ * @returns {Array<number>} Reference numbers (empty if the marker is not a citation)
+ */
+export function parseCitationNumbers(text) {
+  const numbers = [];
+  for (const part of text.split(',')) {
+    const [from, to = from] = part.split(/[-–]/).map(value => parseInt(value, 10));
+    if (to < from || to - from >= MAX_RANGE_SIZE) return [];
+    for (let number = from; number <= to; number++) {
+      numbers.push(number);
+    }
+  }
+  return numbers;
+}
+
+/**
+ * Describe the retrieval score of a chunk
+ * @param {Object} chunk - Record from toRetrievedContext()
+ * @returns {string|null} e.g. "similarity 0.794", or null if the search had no score
+ */
+export function formatRetrievalScore(chunk) {
+  if (typeof chunk.score !== 'number') return null;
+  if (chunk.scoreType === 'similarity') return `similarity ${chunk.score.toFixed(3)}`;
+  if (chunk.scoreType === 'distance') return `distance ${chunk.score.toFixed(3)} (lower is closer)`;
+  if (chunk.scoreType === 'fusion') return `fusion score ${chunk.score.toFixed(4)} (hybrid)`;
+  if (chunk.scoreType === 'keyword') return `${chunk.score} keyword ${chunk.score === 1 ? 'match' : 'matches'}`;
+  if (chunk.scoreType === 'entities') return `${chunk.score} matching ${chunk.score === 1 ? 'entity' : 'entities'} (GraphRAG)`;
+  return String(chunk.score);
+}
+
+function createBadge(number, chunks) {
+  const badge = document.createElement('button');
+  badge.type = 'button';
+  badge.className = 'citation-badge';
+  badge.textContent = number;
+  const chunk = chunks[number - 1];
+  if (chunk) {
+    badge.title = formatChunkLabel(chunk);
+    badge.addEventListener('click', event => {
+      event.stopPropagation();
+      showCitationPopover(badge, number, chunk);
+    });
+  } else {
+    badge.classList.add('citation-invalid');
+    badge.title = `Reference [${number}] was not retrieved — only ${chunks.length} chunks were sent to the model`;
+  }
+  return badge;
+}
+
+/**
+ * Replace the citation markers of a rendered answer with badges
+ * @param {HTMLElement} contentEl - Message body of the answer (already rendered Markdown)
+ * @param {Array<Object>} chunks - retrieved_context of the question
+ * @returns {{cited: Set<number>, invalid: Set<number>}} Valid and invalid reference numbers
+ */
+export function linkCitations(contentEl, chunks) {
+  const cited = new Set();
+  const invalid = new Set();
+
+  const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT, {
+    acceptNode(node) {
+      for (let el = node.parentElement; el && el !== contentEl; el = el.parentElement) {
+        if (SKIPPED_ELEMENTS.has(el.tagName)) return NodeFilter.FILTER_REJECT;
+      }
+      CITATION_PATTERN.lastIndex = 0;
+      return CITATION_PATTERN.test(node.nodeValue) ? NodeFilter.FILTER_ACCEPT : NodeFilter.FILTER_SKIP;
+    }
+  });
+
+  // 走査中にDOMを書き換えないよう、先に対象のテキストノードを集める
+  const textNodes = [];
+  while (walker.nextNode()) {
+    textNodes.push(walker.currentNode);
+  }
+
+  for (const node of textNodes) {
+    const text = node.nodeValue;
+    const fragment = document.createDocumentFragment();
+    let lastIndex = 0;
+
+    for (const match of text.matchAll(CITATION_PATTERN)) {
+      const numbers = parseCitationNumbers(match[1]);
+      if (numbers.length === 0) continue;
+
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex, match.index)));
+      const group = document.createElement('span');
+      group.className = 'citation-group';
+      for (const number of numbers) {
+        group.appendChild(createBadge(number, chunks));
+        (chunks[number - 1] ? cited : invalid).add(number);
+      }
+      fragment.appendChild(group);
+      lastIndex = match.index + match[0].length;
+    }
+
+    if (lastIndex > 0) {
+      fragment.appendChild(document.createTextNode(text.slice(lastIndex)));
+      node.replaceWith(fragment);
+    }
+  }
+
+  return { cited, invalid };
+}
+
+/**
+ * Create the numbered reference list shown below an answer
+ * @param {Array<Object>} chunks - retrieved_context of the question
+ * @param {{cited: Set<number>, invalid: Set<number>}} citations - Result of linkCitations()
+ * @returns {HTMLElement} List element
+ */
+export function createReferenceList(chunks, { cited, invalid } = { cited: new Set(), invalid: new Set() }) {
+  const container = document.createElement('div');
+  container.className = 'citation-references';
+
+  const title = document.createElement('div');
+  title.className = 'citation-references-title';
+  title.textContent = '📎 Sources';
+  container.appendChild(title);
+
+  chunks.forEach((chunk, index) => {
+    const number = index + 1;
+    const item = document.createElement('div');
+    item.className = 'citation-reference';
+    // 回答で引用されなかったチャンクは薄く表示する
+    item.classList.toggle('citation-uncited', cited.size > 0 && !cited.has(number));
+    item.appendChild(createBadge(number, chunks));
+    item.appendChild(document.createTextNode(' '));
+    if (canOpenSource(chunk)) {
+      const link = document.createElement('button');
+      link.type = 'button';
+      link.className = 'citation-source-link';
+      link.textContent = formatChunkLabel(chunk);
+      link.title = 'Open in the document viewer';
+      link.addEventListener('click', () => openChunkSource(chunk));
+      item.appendChild(link);
+    } else {
+      item.appendChild(document.createTextNode(formatChunkLabel(chunk)));
+    }
+    container.appendChild(item);
+  });
+
+  if (invalid.size > 0) {
+    const warning = document.createElement('div');
+    warning.className = 'citation-warning';
+    const numbers = [...invalid].sort((a, b) => a - b).map(number => `[${number}]`);
+    warning.textContent = `⚠️ The answer cites ${numbers.join(', ')}, which ${numbers.length === 1 ? 'does' : 'do'} not match any retrieved chunk`;
+    container.appendChild(warning);
+  }
+
+  return container;
+}
+
+function addPopoverRow(label, value) {
+  const row = document.createElement('div');
+  row.className = 'citation-popover-row';
+  const name = document.createElement('span');
+  name.className = 'citation-popover-label';
+  name.textContent = `${label}: `;
+  row.appendChild(name);
+  row.appendChild(document.createTextNode(value));
+  popover.appendChild(row);
+}
+
+/**
+ * Open the popover of a citation badge
+ * @param {HTMLElement} badge - Clicked badge
+ * @param {number} number - Reference number
+ * @param {Object} chunk - Cited chunk
+ */
+export function showCitationPopover(badge, number, chunk) {
+  if (!popover) {
+    popover = document.createElement('div');
+    popover.id = 'citation-popover';
+    popover.addEventListener('click', event => event.stopPropagation());
+    document.body.appendChild(popover);
+    document.addEventListener('click', hideCitationPopover);
+    document.addEventListener('keydown', event => {
+      if (event.key === 'Escape') hideCitationPopover();
+    });
+  }
+
+  popover.innerHTML = '';
+  const heading = document.createElement('div');
+  heading.className = 'citation-popover-title';
+  heading.textContent = `[${number}] ${(chunk.source || 'Unknown').split('/').pop()}`;
+  popover.appendChild(heading);
+
+  addPopoverRow('File', chunk.source || 'Unknown');
+  if (chunk.page) addPopoverRow('Page', String(chunk.page));
+  addPopoverRow('Score', formatRetrievalScore(chunk) ?? 'not available');
+  if (chunk.graphrag && chunk.entities?.length > 0) {
+    addPopoverRow('Entities', chunk.entities.map(({ name, type }) => (type ? `${name} (${type})` : name)).join(', '));
+  }
+
+  const text = document.createElement('div');
+  text.className = 'citation-popover-text';
+  text.textContent = chunk.content;
+  popover.appendChild(text);
+
+  if (canOpenSource(chunk)) {
+    const open = document.createElement('button');
+    open.type = 'button';
+    open.className = 'citation-popover-open';
+    open.textContent = chunk.page ? `📄 Open document at page ${chunk.page}` : '📄 Open document';
+    open.addEventListener('click', () => {
+      openChunkSource(chunk);
+      hideCitationPopover();
+    });
+    popover.appendChild(open);
+  }
+
+  // バッジの下に表示し、画面からはみ出す場合は上に出す
+  popover.classList.remove('hidden');
+  const rect = badge.getBoundingClientRect();
+  const width = popover.offsetWidth;
+  const height = popover.offsetHeight;
+  const left = Math.max(8, Math.min(rect.left, window.innerWidth - width - 8));
+  const below = rect.bottom + 6;
+  const top = below + height > window.innerHeight ? Math.max(8, rect.top - height - 6) : below;
+  popover.style.left = `${left}px`;
+  popover.style.top = `${top}px`;
+}
+
+// Close the citation popover (outside click or Escape)
+export function hideCitationPopover() {
+  popover?.classList.add('hidden');
+}
@@ -0,0 +1,498 @@
+// Compare window JavaScript
+import { marked } from 'marked';
+import { buildRagPrompt, formatChunkLabel, toRetrievedContext } from './rag-prompt';
+import { readChatStream, formatGenerationStats } from './chat-stream';
+import { getDefaultRetrievalSettings, validateRetrievalSettings } from './retrieval-settings';
+
+// Configure marked options
+marked.setOptions({
+  breaks: true,
+  gfm: true,
+  headerIds: false,
+  mangle: false
+});
+
+const MIN_CONTESTANTS = 2;
+const MAX_CONTESTANTS = 4;
+const DEFAULT_PARAMETERS = { temperature: 0.7, top_p: 0.9, top_k: 40, seed: 42 };
+
+// Ollamaの統計フレームが届くまで（または停止時）は文字数からトークン数を概算する（約4文字/トークン）
+const CHARS_PER_TOKEN = 4;
+
+// Global state
+let availableModels = [];
+let abortControllers = [];
+let lastReport = null;
+// チャットウィンドウのRAG検索パラメータ（ウィンドウを開いたときに受け取る）
+let retrievalSettings = getDefaultRetrievalSettings();
+
+async function getServerPort() {
+  return await window.electronAPI.getServerPort();
+}
+
+async function loadChatModels() {
+  try {
+    const port = await getServerPort();
+    if (!port) {
+      throw new Error('Server port not available');
+    }
+
+    const response = await fetch(`http://localhost:${port}/models`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const data = await response.json();
+    return data.models || [];
+  } catch (error) {
+    console.error('[ERROR] Failed to load chat models:', error);
+    return [];
+  }
+}
+
+// Renumber contestant cards and toggle add/remove buttons
+function updateContestantControls() {
+  const cards = document.querySelectorAll('#contestant-list .contestant');
+  cards.forEach((card, index) => {
+    card.querySelector('.contestant-title').textContent = `Model ${index + 1}`;
+    card.querySelector('.remove-contestant-btn').style.display =
+      cards.length > MIN_CONTESTANTS ? 'inline-block' : 'none';
+  });
+  document.getElementById('add-contestant-btn').style.display =
+    cards.length < MAX_CONTESTANTS ? 'inline-block' : 'none';
+}
+
+/**
+ * Add a contestant card (model + parameter set) to the left panel
+ * @param {string} model - Preselected model
+ * @param {Object} parameters - Sampling parameters
+ */
+function addContestant(model, parameters = DEFAULT_PARAMETERS) {
+  const card = document.createElement('div');
+  card.className = 'contestant';
+
+  const header = document.createElement('div');
+  header.className = 'contestant-header';
+  const title = document.createElement('span');
+  title.className = 'contestant-title';
+  const removeBtn = document.createElement('button');
+  removeBtn.className = 'btn btn-delete btn-small remove-contestant-btn';
+  removeBtn.textContent = '✕';
+  removeBtn.title = 'Remove';
+  removeBtn.addEventListener('click', () => {
+    card.remove();
+    updateContestantControls();
+  });
+  header.appendChild(title);
+  header.appendChild(removeBtn);
+  card.appendChild(header);
+
+  const select = document.createElement('select');
+  select.className = 'model-select contestant-model';
+  if (availableModels.length === 0) {
+    select.innerHTML = '<option value="">No models available</option>';
+  }
+  availableModels.forEach(name => {
+    const option = document.createElement('option');
+    option.value = name;
+    option.textContent = name;
+    select.appendChild(option);
+  });
+  if (model) select.value = model;
+  card.appendChild(select);
+
+  // 同じモデルを異なるパラメータで比較できるよう、カードごとにパラメータを持つ
+  const params = document.createElement('div');
+  params.className = 'contestant-params';
+  const fields = [
+    { key: 'temperature', step: '0.1' },
+    { key: 'top_p', step: '0.1' },
+    { key: 'top_k', step: '1' },
+    { key: 'seed', step: '1' }
+  ];
+  fields.forEach(({ key, step }) => {
+    const label = document.createElement('label');
+    label.textContent = key;
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.step = step;
+    input.dataset.param = key;
+    input.value = parameters[key];
+    label.appendChild(input);
+    params.appendChild(label);
+  });
+  card.appendChild(params);
+
+  document.getElementById('contestant-list').appendChild(card);
+  updateContestantControls();
+}
+
+// Read model and parameters from every contestant card
+function getContestants() {
+  return [...document.querySelectorAll('#contestant-list .contestant')].map(card => {
+    const value = key => card.querySelector(`input[data-param="${key}"]`).value;
+    return {
+      model: card.querySelector('.contestant-model').value,
+      parameters: {
+        temperature: parseFloat(value('temperature')),
+        top_p: parseFloat(value('top_p')),
+        top_k: parseInt(value('top_k')),
+        seed: parseInt(value('seed'))
+      }
+    };
+  });
+}
+
+function formatParameters(parameters) {
+  return Object.entries(parameters).map(([key, value]) => `${key}=${value}`).join(', ');
+}
+
+function formatStats(stats) {
+  if (!stats) return '';
+  if (stats.generation) return formatGenerationStats(stats.generation);
+  const parts = [];
+  if (stats.firstTokenMs !== null) parts.push(`First token: ${(stats.firstTokenMs / 1000).toFixed(2)}s`);
+  parts.push(`Total: ${(stats.totalMs / 1000).toFixed(2)}s`);
+  parts.push(`≈${stats.estimatedTokens} tokens`);
+  parts.push(`≈${stats.estimatedTokensPerSecond} tok/s`);
+  return parts.join(' · ');
+}
+
+// Build one result column per contestant in the right panel
+function createResultColumns(contestants) {
+  const grid = document.getElementById('results-grid');
+  grid.innerHTML = '';
+  grid.style.gridTemplateColumns = `repeat(${contestants.length}, minmax(0, 1fr))`;
+
+  return contestants.map(({ model, parameters }) => {
+    const column = document.createElement('div');
+    column.className = 'result-column';
+    column.innerHTML = `
+      <div class="result-header">
+        <div class="result-model"></div>
+        <div class="result-params"></div>
+      </div>
+      <div class="result-output"><em>Waiting...</em></div>
+      <div class="result-stats"></div>
+    `;
+    column.querySelector('.result-model').textContent = model;
+    column.querySelector('.result-model').title = model;
+    column.querySelector('.result-params').textContent = formatParameters(parameters);
+    grid.appendChild(column);
+
+    return {
+      output: column.querySelector('.result-output'),
+      stats: column.querySelector('.result-stats')
+    };
+  });
+}
+
+/**
+ * Retrieve RAG context once so that every model receives the same references
+ * @param {string} prompt - Prompt typed by the user
+ * @param {string} chatModel - Model used for query rewriting / keyword extraction
+ * @returns {Promise<{content: string, citations: string, retrievedContext: Array<Object>}|null>} User message
+ *   content, or null without RAG
+ */
+async function retrieveContext(prompt, chatModel) {
+  const useChunkRAG = document.getElementById('compare-use-rag').checked;
+  const useGraphRAG = document.getElementById('compare-use-graphrag').checked;
+  if (!useChunkRAG && !useGraphRAG) return null;
+
+  const mode = document.getElementById('compare-rag-mode').value;
+  const { results } = await window.electronAPI.searchFromStore(prompt, retrievalSettings.topK, {
+    mode,
+    useChunkRAG,
+    useGraphRAG,
+    chatModel,
+    chatHistory: [],
+    retrieval: retrievalSettings
+  });
+
+  if (results.length === 0) {
+    alert('Reference information not found. Comparing without RAG.');
+    return null;
+  }
+
+  const retrievedContext = toRetrievedContext(results);
+  return {
+    content: buildRagPrompt(retrievedContext, prompt),
+    // 回答の [n] と対応するよう、プロンプトと同じ番号で一覧にする
+    citations: retrievedContext.map((chunk, index) => `- [${index + 1}] ${formatChunkLabel(chunk)}`).join('\n'),
+    retrievedContext
+  };
+}
+
+/**
+ * Stream one contestant's answer into its column
+ * @param {Object} contestant - { model, parameters }
+ * @param {Array} messages - Chat messages shared by all contestants
+ * @param {Object} column - { output, stats } elements
+ * @param {AbortSignal} signal - Abort signal for the Stop button
+ * @returns {Promise<Object>} Result entry for the report
+ */
+async function runContestant({ model, parameters }, messages, column, signal) {
+  const port = await getServerPort();
+  const startedAt = performance.now();
+  let firstTokenMs = null;
+  let content = '';
+  let generation = null;
+  let error = null;
+  let truncated = false;
+
+  const buildStats = () => {
+    const totalMs = Math.round(performance.now() - startedAt);
+    const estimatedTokens = Math.round(content.length / CHARS_PER_TOKEN);
+    const generationSeconds = (totalMs - (firstTokenMs ?? 0)) / 1000;
+    return {
+      firstTokenMs,
+      totalMs,
+      characters: content.length,
+      estimatedTokens,
+      estimatedTokensPerSecond: generationSeconds > 0 ? +(estimatedTokens / generationSeconds).toFixed(1) : 0,
+      generation
+    };
+  };
+
+  try {
+    const res = await fetch(`http://localhost:${port}/chat-stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      body: JSON.stringify({ model, messages, ...parameters })
+    });
+
+    if (!res.ok) {
+      const errorText = await res.text();
+      throw new Error(`Ollama API Error (${res.status}): ${errorText}`);
+    }
+
+    await readChatStream(res, (event) => {
+      switch (event.type) {
+        case 'content':
+          if (firstTokenMs === null) {
+            firstTokenMs = Math.round(performance.now() - startedAt);
+          }
+          content += event.content;
+          column.output.innerHTML = marked.parse(content);
+          break;
+        case 'stats':
+          generation = event.stats;
+          break;
+        case 'error':
+          error = event.error;
+          break;
+      }
+      column.stats.textContent = formatStats(buildStats());
+    });
+  } catch (err) {
+    if (err.name === 'AbortError') {
+      truncated = true;
+    } else {
+      console.error(`[ERROR] Compare request failed for ${model}:`, err);
+      error = err.message || 'Unknown error';
+    }
+  }
+
+  const stats = buildStats();
+  if (error) {
+    column.output.innerHTML = '';
+    const errorEl = document.createElement('span');
+    errorEl.className = 'result-error';
+    errorEl.textContent = `Error: ${error}`;
+    column.output.appendChild(errorEl);
+  } else if (!content) {
+    column.output.innerHTML = truncated ? '<em>⏹️ Stopped before a response was generated</em>' : '<em>(empty response)</em>';
+  }
+  column.stats.textContent = formatStats(stats) + (truncated ? ' · stopped' : '');
+
+  return { model, parameters, content, truncated, error, stats };
+}
+
+function setRunning(running) {
+  document.getElementById('run-compare-btn').style.display = running ? 'none' : 'block';
+  document.getElementById('stop-compare-btn').style.display = running ? 'block' : 'none';
+  document.getElementById('add-contestant-btn').disabled = running;
+  document.querySelectorAll('#contestant-list .remove-contestant-btn').forEach(button => {
+    button.disabled = running;
+  });
+  document.getElementById('export-json-btn').disabled = running || !lastReport;
+  document.getElementById('export-md-btn').disabled = running || !lastReport;
+}
+
+// Send the prompt to all contestants in parallel
+async function runComparison() {
+  const prompt = document.getElementById('compare-prompt').value.trim();
+  if (!prompt) {
+    alert('Please enter a prompt.');
+    return;
+  }
+
+  const contestants = getContestants();
+  if (contestants.some(contestant => !contestant.model)) {
+    alert('Please select a model for every column.');
+    return;
+  }
+
+  const port = await getServerPort();
+  if (!port) {
+    alert('Internal server not available. Cannot run comparison.');
+    return;
+  }
+
+  const systemPrompt = document.getElementById('compare-system-prompt').value.trim();
+  lastReport = null;
+  setRunning(true);
+  const columns = createResultColumns(contestants);
+
+  try {
+    let rag = null;
+    try {
+      rag = await retrieveContext(prompt, contestants[0].model);
+    } catch (error) {
+      alert(
+        `⚠️ RAG Search Failed\n\n` +
+        `Error: ${error.message}\n\n` +
+        `Comparing without RAG.\n` +
+        `Please check your embedding model settings in the main window.`
+      );
+    }
+
+    const messages = [];
+    if (systemPrompt) {
+      messages.push({ role: 'system', content: systemPrompt });
+    }
+    messages.push({ role: 'user', content: rag ? rag.content : prompt });
+
+    abortControllers = contestants.map(() => new AbortController());
+    const results = await Promise.all(contestants.map((contestant, index) =>
+      runContestant(contestant, messages, columns[index], abortControllers[index].signal)
+    ));
+
+    lastReport = {
+      createdAt: new Date().toISOString(),
+      prompt,
+      systemPrompt,
+      rag: rag ? {
+        useChunkRAG: document.getElementById('compare-use-rag').checked,
+        useGraphRAG: document.getElementById('compare-use-graphrag').checked,
+        mode: document.getElementById('compare-rag-mode').value,
+        citations: rag.citations,
+        retrieved_context: rag.retrievedContext
+      } : null,
+      results
+    };
+  } finally {
+    abortControllers = [];
+    setRunning(false);
+  }
+}
+
+function stopComparison() {
+  abortControllers.forEach(controller => controller.abort());
+}
+
+function downloadFile(content, type, extension) {
+  const blob = new Blob([content], { type });
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `comparison-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+  link.click();
+}
+
+function exportJSON() {
+  if (!lastReport) return;
+  downloadFile(JSON.stringify(lastReport, null, 2), 'application/json', 'json');
+}
+
+function buildMarkdownReport(report) {
+  const lines = [
+    '# Model Comparison',
+    '',
+    `- Date: ${report.createdAt}`,
+    `- Prompt: ${report.prompt}`
+  ];
+  if (report.systemPrompt) lines.push(`- System prompt: ${report.systemPrompt}`);
+  if (report.rag) {
+    lines.push(`- RAG: mode=${report.rag.mode}, chunk=${report.rag.useChunkRAG}, graph=${report.rag.useGraphRAG}`);
+  }
+  lines.push(
+    '',
+    '| Model | Parameters | First token | Total | Load | Prompt tokens | Tokens | Tok/s |',
+    '|---|---|---|---|---|---|---|---|'
+  );
+
+  // ≈ は統計フレームが無い（停止・エラー）場合の概算値
+  const seconds = ms => (ms !== null && ms !== undefined ? `${(ms / 1000).toFixed(2)}s` : '-');
+  report.results.forEach(({ model, parameters, stats }) => {
+    const { generation } = stats;
+    const cells = generation
+      ? [
+          seconds(generation.timeToFirstTokenMs),
+          seconds(generation.totalDurationMs),
+          seconds(generation.loadDurationMs),
+          generation.promptTokens,
+          generation.evalTokens,
+          generation.tokensPerSecond ?? '-'
+        ]
+      : [
+          seconds(stats.firstTokenMs),
+          seconds(stats.totalMs),
+          '-',
+          '-',
+          `≈${stats.estimatedTokens}`,
+          `≈${stats.estimatedTokensPerSecond}`
+        ];
+    lines.push(`| ${model} | ${formatParameters(parameters)} | ${cells.join(' | ')} |`);
+  });
+
+  report.results.forEach(({ model, parameters, content, truncated, error }, index) => {
+    lines.push('', `## ${index + 1}. ${model}`, '', `_${formatParameters(parameters)}_`, '');
+    if (error) {
+      lines.push(`**Error:** ${error}`);
+    } else {
+      lines.push(content || '_(empty response)_');
+      if (truncated) lines.push('', '_⏹️ Stopped by user_');
+    }
+  });
+
+  if (report.rag?.citations) {
+    lines.push('', '## 📎 Sources', '', report.rag.citations);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+function exportMarkdown() {
+  if (!lastReport) return;
+  downloadFile(buildMarkdownReport(lastReport), 'text/markdown', 'md');
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', async () => {
+  // 範囲外の値は既定値に置き換える（チャット側では送信時にエラーとして表示される）
+  window.electronAPI.onCompareSettings(settings => {
+    retrievalSettings = validateRetrievalSettings(settings?.retrieval).settings;
+  });
+
+  try {
+    await window.electronAPI.loadVectorStore();
+  } catch (error) {
+    console.error('[ERROR] Failed to load vector store:', error);
+  }
+
+  availableModels = await loadChatModels();
+
+  // 初期状態では2列（モデルが1つしかない場合は同じモデルを2回）
+  for (let i = 0; i < MIN_CONTESTANTS; i++) {
+    addContestant(availableModels[i] ?? availableModels[0]);
+  }
+
+  document.getElementById('add-contestant-btn').addEventListener('click', () => {
+    addContestant(availableModels[0]);
+  });
+  document.getElementById('run-compare-btn').addEventListener('click', runComparison);
+  document.getElementById('stop-compare-btn').addEventListener('click', stopComparison);
+  document.getElementById('export-json-btn').addEventListener('click', exportJSON);
+  document.getElementById('export-md-btn').addEventListener('click', exportMarkdown);
+});
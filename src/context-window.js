@@ -0,0 +1,151 @@
+/**
+ * Context Window Management
+ *
+ * Keeps the messages sent to Ollama within the model's context window
+ * (num_ctx). Token counts are estimated from the text length, since the
+ * exact count depends on the model's tokenizer.
+ *
+ * Strategies for histories that do not fit:
+ *   - sliding-window:    drop the oldest turns
+ *   - summarise-oldest:  replace the oldest turns with a summary (the summary itself is created by the caller)
+ *   - drop-rag-context:  send old RAG questions without their retrieved_context, then drop the oldest turns if still needed
+ */
+
+// 1トークンあたりの平均文字数（英語で約4文字、日本語ではもっと少ないため控えめな見積もり）
+export const CHARS_PER_TOKEN = 4;
+
+// Ollama's num_ctx when neither the request nor the Modelfile sets one
+export const DEFAULT_NUM_CTX = 4096;
+
+export const CONTEXT_STRATEGIES = {
+  'sliding-window': 'Sliding window (drop oldest turns)',
+  'summarise-oldest': 'Summarise oldest turns',
+  'drop-rag-context': 'Drop RAG context from old turns'
+};
+
+export const DEFAULT_CONTEXT_STRATEGY = 'sliding-window';
+
+// Rough per-image cost; vision encoders typically use a few hundred tokens per image
+const IMAGE_TOKENS = 768;
+
+// Role markers and separators the chat template adds around each message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// Instructions of the RAG prompt template, and the "[n] file (p.N)" label of each chunk
+const RAG_TEMPLATE_TOKENS = 50;
+const RAG_CHUNK_LABEL_TOKENS = 10;
+
+/**
+ * Estimate the number of tokens in a text
+ * @param {string} text - Any text
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Estimate the tokens a stored chat message uses in a request
+ * The retrieved context of RAG questions and the tool rounds of assistant
+ * messages are counted as well, since they are sent with the history.
+ * @param {Object} message - { role, content, images, retrieved_context, toolRounds }
+ * @returns {number} Estimated tokens
+ */
+export function estimateMessageTokens(message) {
+  let tokens = MESSAGE_OVERHEAD_TOKENS + estimateTokens(message.content);
+  tokens += (message.images?.length || 0) * IMAGE_TOKENS;
+  if (message.retrieved_context?.length > 0) {
+    tokens += RAG_TEMPLATE_TOKENS + message.retrieved_context.reduce(
+      (total, chunk) => total + RAG_CHUNK_LABEL_TOKENS + estimateTokens(chunk.content), 0);
+  }
+  for (const round of message.toolRounds || []) {
+    tokens += MESSAGE_OVERHEAD_TOKENS + estimateTokens(round.content);
+    for (const call of round.calls) {
+      tokens += MESSAGE_OVERHEAD_TOKENS + estimateTokens(JSON.stringify(call.arguments ?? {})) + estimateTokens(call.result);
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Tokens available for the history of one request
+ * Part of the context is reserved for the answer: num_predict if it is set,
+ * otherwise a quarter of the context (at most 1024 tokens).
+ * @param {number} numCtx - Context window size
+ * @param {number} numPredict - num_predict parameter (optional)
+ * @returns {number} Input token budget
+ */
+export function getInputBudget(numCtx, numPredict) {
+  const reserve = numPredict > 0
+    ? Math.min(numPredict, Math.floor(numCtx / 2))
+    : Math.min(1024, Math.floor(numCtx / 4));
+  return numCtx - reserve;
+}
+
+function sumTokens(messages) {
+  return messages.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+function hasRagContext(message) {
+  return message.role === 'user' && message.retrieved_context?.length > 0;
+}
+
+/**
+ * Fit a conversation into a token budget
+ * Leading system messages and the last message are always kept. Whole turns
+ * are dropped from the start so that the kept history begins with a user
+ * message. For "summarise-oldest" the dropped messages are returned so that
+ * the caller can summarise them; pass the summary's size as reservedTokens.
+ * @param {Array<Object>} messages - Stored messages of the active path (oldest first)
+ * @param {Object} options
+ * @param {number} options.budget - Input token budget
+ * @param {string} options.strategy - Key of CONTEXT_STRATEGIES
+ * @param {number} options.reservedTokens - Tokens needed besides the messages (tools, summary)
+ * @returns {{messages: Array<Object>, dropped: Array<Object>, droppedCount: number, strippedCount: number, tokens: number, fits: boolean}}
+ */
+export function fitToContextWindow(messages, { budget, strategy = DEFAULT_CONTEXT_STRATEGY, reservedTokens = 0 }) {
+  let systemCount = 0;
+  while (systemCount < messages.length - 1 && messages[systemCount].role === 'system') {
+    systemCount++;
+  }
+  const systemMessages = messages.slice(0, systemCount);
+  let history = messages.slice(systemCount);
+  const available = budget - reservedTokens;
+
+  const total = () => sumTokens(systemMessages) + sumTokens(history);
+  if (total() <= available) {
+    return { messages, dropped: [], droppedCount: 0, strippedCount: 0, tokens: total(), fits: true };
+  }
+
+  // 古いターンから検索結果を外し、元の質問だけを送る
+  const stripped = new Set();
+  if (strategy === 'drop-rag-context') {
+    history = history.map((message, index) => {
+      if (index === history.length - 1 || !hasRagContext(message)) return message;
+      const { retrieved_context: _, ...withoutContext } = message;
+      stripped.add(withoutContext);
+      return withoutContext;
+    });
+  }
+
+  // 収まるまで最も古いターンを落とす（最後のメッセージは常に残す）
+  let start = 0;
+  const keptTokens = () => sumTokens(systemMessages) + sumTokens(history.slice(start));
+  while (start < history.length - 1 && keptTokens() > available) {
+    start++;
+    // 残りの履歴がassistantやtoolから始まらないよう、ユーザーメッセージまで進める
+    while (start < history.length - 1 && history[start].role !== 'user') {
+      start++;
+    }
+  }
+
+  const kept = history.slice(start);
+  return {
+    messages: [...systemMessages, ...kept],
+    dropped: messages.slice(systemCount, systemCount + start),
+    droppedCount: start,
+    strippedCount: kept.filter(message => stripped.has(message)).length,
+    tokens: keptTokens(),
+    fits: keptTokens() <= available
+  };
+}
@@ -0,0 +1,227 @@
+/**
+ * Conversation Tree
+ *
+ * Stores chat messages as a tree so that edited prompts and regenerated
+ * answers become sibling branches instead of overwriting earlier history.
+ * The "active path" (root -> leaf through the selected children) is the
+ * linear message list that is shown in the chat log and sent to the model.
+ */
+
+const ROOT_KEY = 'root';
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+function parentKey(parentId) {
+  return parentId === null || parentId === undefined ? ROOT_KEY : String(parentId);
+}
+
+/**
+ * Create an empty conversation tree
+ * @returns {Object} Tree with nodes keyed by ID and the selected child per parent
+ */
+export function createTree() {
+  return {
+    nextId: 1,
+    nodes: {},
+    selected: {}
+  };
+}
+
+/**
+ * Get the children of a node, oldest first
+ * @param {Object} tree - Conversation tree
+ * @param {number|null} parentId - Parent node ID (null for root)
+ * @returns {Array} Child nodes
+ */
+export function getChildren(tree, parentId) {
+  const key = parentKey(parentId);
+  return Object.values(tree.nodes)
+    .filter(node => parentKey(node.parentId) === key)
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Add a message as a child of parentId and select it
+ * @param {Object} tree - Conversation tree
+ * @param {number|null} parentId - Parent node ID (null for root)
+ * @param {Object} message - Chat message ({ role, content, ... })
+ * @returns {number} New node ID
+ */
+export function addNode(tree, parentId, message) {
+  const id = tree.nextId++;
+  tree.nodes[id] = { id, parentId: parentId ?? null, message };
+  tree.selected[parentKey(parentId)] = id;
+  return id;
+}
+
+/**
+ * Get the nodes on the active path, from the root to the selected leaf
+ * @param {Object} tree - Conversation tree
+ * @returns {Array} Nodes
+ */
+export function getActivePath(tree) {
+  const path = [];
+  let parentId = null;
+
+  while (true) {
+    const children = getChildren(tree, parentId);
+    if (children.length === 0) break;
+
+    const selectedId = tree.selected[parentKey(parentId)];
+    const next = children.find(child => child.id === selectedId) || children[children.length - 1];
+    path.push(next);
+    parentId = next.id;
+  }
+
+  return path;
+}
+
+/**
+ * Get the nodes from the root down to (and including) nodeId
+ * @param {Object} tree - Conversation tree
+ * @param {number|null} nodeId - Target node ID (null returns an empty path)
+ * @returns {Array} Nodes
+ */
+export function getPathTo(tree, nodeId) {
+  const path = [];
+  let node = nodeId === null || nodeId === undefined ? null : tree.nodes[nodeId];
+
+  while (node) {
+    path.unshift(node);
+    node = node.parentId === null ? null : tree.nodes[node.parentId];
+  }
+
+  return path;
+}
+
+/**
+ * Append a message to the end of the active path
+ * @param {Object} tree - Conversation tree
+ * @param {Object} message - Chat message
+ * @returns {number} New node ID
+ */
+export function appendToActivePath(tree, message) {
+  const path = getActivePath(tree);
+  const lastId = path.length > 0 ? path[path.length - 1].id : null;
+  return addNode(tree, lastId, message);
+}
+
+/**
+ * Remove a node and all of its descendants
+ * @param {Object} tree - Conversation tree
+ * @param {number} nodeId - Node ID
+ */
+export function removeNode(tree, nodeId) {
+  const node = tree.nodes[nodeId];
+  if (!node) return;
+
+  for (const child of getChildren(tree, nodeId)) {
+    removeNode(tree, child.id);
+  }
+
+  delete tree.nodes[nodeId];
+  delete tree.selected[parentKey(nodeId)];
+
+  const key = parentKey(node.parentId);
+  if (tree.selected[key] === nodeId) {
+    delete tree.selected[key];
+  }
+}
+
+/**
+ * Get the position of a node among its siblings
+ * @param {Object} tree - Conversation tree
+ * @param {number} nodeId - Node ID
+ * @returns {{index: number, count: number}} Zero-based index and sibling count
+ */
+export function getSiblingInfo(tree, nodeId) {
+  const node = tree.nodes[nodeId];
+  if (!node) return { index: 0, count: 0 };
+
+  const siblings = getChildren(tree, node.parentId);
+  return {
+    index: siblings.findIndex(sibling => sibling.id === nodeId),
+    count: siblings.length
+  };
+}
+
+/**
+ * Select the previous/next sibling of a node
+ * @param {Object} tree - Conversation tree
+ * @param {number} nodeId - Node ID
+ * @param {number} offset - -1 for the previous sibling, 1 for the next one
+ * @returns {boolean} True if the selection changed
+ */
+export function selectSibling(tree, nodeId, offset) {
+  const node = tree.nodes[nodeId];
+  if (!node) return false;
+
+  const siblings = getChildren(tree, node.parentId);
+  const index = siblings.findIndex(sibling => sibling.id === nodeId);
+  const target = siblings[index + offset];
+  if (!target) return false;
+
+  tree.selected[parentKey(node.parentId)] = target.id;
+  return true;
+}
+
+/**
+ * Build a linear tree from a flat message list
+ * @param {Array} messages - Chat messages
+ * @returns {Object} Conversation tree
+ */
+export function buildTreeFromMessages(messages) {
+  const tree = createTree();
+  for (const message of messages) {
+    appendToActivePath(tree, message);
+  }
+  return tree;
+}
+
+/**
+ * Check that an object has the shape produced by createTree()
+ * @param {Object} tree - Candidate tree (e.g. from an imported file)
+ * @returns {boolean} True if valid
+ */
+export function isValidTree(tree) {
+  if (!tree || typeof tree !== 'object' || typeof tree.nodes !== 'object' || tree.nodes === null) {
+    return false;
+  }
+  if (!Number.isInteger(tree.nextId) || typeof tree.selected !== 'object' || tree.selected === null) {
+    return false;
+  }
+
+  const nodesValid = Object.entries(tree.nodes).every(([key, node]) =>
+    node &&
+    String(node.id) === key &&
+    node.id < tree.nextId &&
+    (node.parentId === null || tree.nodes[node.parentId] !== undefined) &&
+    isValidMessage(node.message)
+  );
+
+  return nodesValid && Object.values(tree.nodes).every(node => reachesRoot(tree, node));
+}
+
+// Same checks as the "history" of a chat export (see validateChatExport() in renderer.js)
+function isValidMessage(message) {
+  return !!message &&
+    MESSAGE_ROLES.includes(message.role) &&
+    typeof message.content === 'string' &&
+    (message.images === undefined ||
+      (Array.isArray(message.images) && message.images.every(image => typeof image === 'string'))) &&
+    (message.retrieved_context === undefined ||
+      (Array.isArray(message.retrieved_context) && message.retrieved_context.every(chunk => typeof chunk?.content === 'string'))) &&
+    (message.thinking === undefined || typeof message.thinking === 'string');
+}
+
+// 自分自身が親のノードや 1→2→1 のような循環があると getPathTo() などが終わらない
+function reachesRoot(tree, node) {
+  const visited = new Set();
+  let current = node;
+  while (current.parentId !== null) {
+    if (visited.has(current.id)) return false;
+    visited.add(current.id);
+    current = tree.nodes[current.parentId];
+  }
+  return true;
+}
@@ -152,6 +152,49 @@ class Database {
       )
     `);
 
+    // Chat sessions table (conversation history with its settings)
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS chat_sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        title TEXT NOT NULL,
+        model TEXT,
+        system_prompt TEXT,
+        parameters TEXT,
+        rag_settings TEXT,
+        messages TEXT NOT NULL DEFAULT '[]',
+        tree TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Presets: named system prompt, parameters and RAG settings
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS presets (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        system_prompt TEXT,
+        parameters TEXT,
+        rag_settings TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Prompt templates with {{variables}}
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL UNIQUE,
+        template TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Add columns introduced after the table was first created
+    this.ensureColumn('chat_sessions', 'tree', 'TEXT');
+
     // Create indexes for better query performance
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_entity_mentions_chunk ON entity_mentions(chunk_id)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_entity_mentions_entity ON entity_mentions(entity_id)`);
@@ -160,12 +203,32 @@ class Database {
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_entities_type ON entities(type)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_relationships_source ON relationships(source_entity_id)`);
     this.db.run(`CREATE INDEX IF NOT EXISTS idx_relationships_target ON relationships(target_entity_id)`);
+    this.db.run(`CREATE INDEX IF NOT EXISTS idx_chat_sessions_updated ON chat_sessions(updated_at)`);
 
     // Note: sql.js doesn't support FTS5, using LIKE-based search instead
 
     console.log('[Database] Tables created successfully');
   }
 
+  /**
+   * Add a column to an existing table if it is missing
+   * (CREATE TABLE IF NOT EXISTS does not alter tables from older databases)
+   * @param {string} table - Table name
+   * @param {string} column - Column name
+   * @param {string} definition - Column type and constraints
+   */
+  ensureColumn(table, column, definition) {
+    const result = this.db.exec(`PRAGMA table_info(${table})`);
+    const columns = result.length > 0
+      ? result[0].values.map(row => row[result[0].columns.indexOf('name')])
+      : [];
+
+    if (!columns.includes(column)) {
+      this.db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+      console.log(`[Database] Added column ${table}.${column}`);
+    }
+  }
+
   /**
    * Save database to disk
    */
@@ -268,6 +331,50 @@ class Database {
     }));
   }
 
+  /**
+   * Get all documents with their chunk counts
+   * @returns {Array} [{ id, source, embedding_model, uploaded_at, chunk_count }]
+   */
+  getDocuments() {
+    const result = this.db.exec(`
+      SELECT d.id, d.source, d.embedding_model, d.uploaded_at, COUNT(c.id) as chunk_count
+      FROM documents d
+      LEFT JOIN chunks c ON c.document_id = d.id
+      GROUP BY d.id
+      ORDER BY d.id
+    `);
+
+    if (result.length === 0) {
+      return [];
+    }
+
+    const columns = result[0].columns;
+    return result[0].values.map(row => Object.fromEntries(columns.map((column, i) => [column, row[i]])));
+  }
+
+  /**
+   * Get a document by ID
+   * @param {number} documentId - Document ID
+   * @returns {Object|null} { id, source, embedding_model, uploaded_at, chunk_count }
+   */
+  getDocumentById(documentId) {
+    const result = this.db.exec(`
+      SELECT d.id, d.source, d.embedding_model, d.uploaded_at, COUNT(c.id) as chunk_count
+      FROM documents d
+      LEFT JOIN chunks c ON c.document_id = d.id
+      WHERE d.id = ?
+      GROUP BY d.id
+    `, [documentId]);
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    const columns = result[0].columns;
+    const row = result[0].values[0];
+    return Object.fromEntries(columns.map((column, i) => [column, row[i]]));
+  }
+
   /**
    * Get document IDs by source path
    */
@@ -713,6 +820,299 @@ class Database {
     };
   }
 
+  // ==========================================
+  // Chat Session Methods
+  // ==========================================
+
+  /**
+   * Convert a chat_sessions row into a session object
+   * @param {Array<string>} columns - Column names of the result
+   * @param {Array} row - Row values
+   * @returns {Object} Session with parsed JSON fields
+   */
+  rowToChatSession(columns, row) {
+    const parseJson = (value, fallback) => {
+      if (!value) return fallback;
+      try {
+        return JSON.parse(value);
+      } catch (error) {
+        console.warn('[Database] Failed to parse chat session field:', error.message);
+        return fallback;
+      }
+    };
+
+    return {
+      id: row[columns.indexOf('id')],
+      title: row[columns.indexOf('title')],
+      model: row[columns.indexOf('model')],
+      systemPrompt: row[columns.indexOf('system_prompt')] || '',
+      parameters: parseJson(row[columns.indexOf('parameters')], {}),
+      ragSettings: parseJson(row[columns.indexOf('rag_settings')], {}),
+      messages: parseJson(row[columns.indexOf('messages')], []),
+      tree: parseJson(row[columns.indexOf('tree')], null),
+      created_at: row[columns.indexOf('created_at')],
+      updated_at: row[columns.indexOf('updated_at')]
+    };
+  }
+
+  /**
+   * Create a chat session
+   * @param {Object} session - Session data
+   * @param {string} session.title - Session title
+   * @param {string} session.model - Chat model name
+   * @param {string} session.systemPrompt - System prompt
+   * @param {Object} session.parameters - Sampling parameters
+   * @param {Object} session.ragSettings - RAG settings
+   * @param {Object} session.tree - Conversation tree with all branches
+   * @param {Array} session.messages - Legacy message list, only kept when copying a session saved before the tree existed
+   * @returns {number} Session ID
+   */
+  insertChatSession({ title, model = null, systemPrompt = '', parameters = {}, ragSettings = {}, messages = [], tree = null }) {
+    this.db.run(
+      `INSERT INTO chat_sessions (title, model, system_prompt, parameters, rag_settings, messages, tree)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        title,
+        model,
+        systemPrompt,
+        JSON.stringify(parameters),
+        JSON.stringify(ragSettings),
+        // メッセージはツリーのアクティブパスから復元する（messages列は旧形式の読み込み専用）
+        JSON.stringify(tree ? [] : messages),
+        tree ? JSON.stringify(tree) : null
+      ]
+    );
+
+    const result = this.db.exec('SELECT last_insert_rowid() as id');
+    const sessionId = result[0].values[0][0];
+
+    console.log(`[Database] Inserted chat session: ${title} (ID: ${sessionId})`);
+    return sessionId;
+  }
+
+  /**
+   * Update a chat session (only the given fields are changed)
+   * @param {number} sessionId - Session ID
+   * @param {Object} fields - Fields to update (same keys as insertChatSession)
+   */
+  updateChatSession(sessionId, fields) {
+    const columnMap = {
+      title: ['title', v => v],
+      model: ['model', v => v],
+      systemPrompt: ['system_prompt', v => v],
+      parameters: ['parameters', v => JSON.stringify(v)],
+      ragSettings: ['rag_settings', v => JSON.stringify(v)],
+      tree: ['tree', v => (v ? JSON.stringify(v) : null)]
+    };
+
+    const assignments = [];
+    const params = [];
+    for (const [key, value] of Object.entries(fields)) {
+      if (!columnMap[key] || value === undefined) continue;
+      const [column, serialize] = columnMap[key];
+      assignments.push(`${column} = ?`);
+      params.push(serialize(value));
+    }
+    // ツリーで保存し直した旧形式のセッションは messages 列を空にする
+    if (fields.tree) {
+      assignments.push("messages = '[]'");
+    }
+
+    if (assignments.length === 0) {
+      return;
+    }
+
+    this.db.run(
+      `UPDATE chat_sessions SET ${assignments.join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...params, sessionId]
+    );
+  }
+
+  /**
+   * Get all chat sessions (without messages), most recently updated first
+   * @returns {Array} Session summaries
+   */
+  getChatSessions() {
+    const result = this.db.exec(`
+      SELECT id, title, model, created_at, updated_at
+      FROM chat_sessions
+      ORDER BY updated_at DESC, id DESC
+    `);
+
+    if (result.length === 0) {
+      return [];
+    }
+
+    const columns = result[0].columns;
+    return result[0].values.map(row => ({
+      id: row[columns.indexOf('id')],
+      title: row[columns.indexOf('title')],
+      model: row[columns.indexOf('model')],
+      created_at: row[columns.indexOf('created_at')],
+      updated_at: row[columns.indexOf('updated_at')]
+    }));
+  }
+
+  /**
+   * Get a chat session including its messages
+   * @param {number} sessionId - Session ID
+   * @returns {Object|null} Session or null if not found
+   */
+  getChatSessionById(sessionId) {
+    const result = this.db.exec('SELECT * FROM chat_sessions WHERE id = ?', [sessionId]);
+
+    if (result.length === 0) {
+      return null;
+    }
+
+    return this.rowToChatSession(result[0].columns, result[0].values[0]);
+  }
+
+  /**
+   * Duplicate a chat session
+   * @param {number} sessionId - Session ID to copy
+   * @returns {number|null} New session ID or null if not found
+   */
+  duplicateChatSession(sessionId) {
+    const session = this.getChatSessionById(sessionId);
+    if (!session) {
+      return null;
+    }
+
+    return this.insertChatSession({
+      ...session,
+      title: `${session.title} (copy)`
+    });
+  }
+
+  /**
+   * Delete a chat session
+   * @param {number} sessionId - Session ID
+   */
+  deleteChatSession(sessionId) {
+    this.db.run('DELETE FROM chat_sessions WHERE id = ?', [sessionId]);
+    console.log(`[Database] Deleted chat session ID: ${sessionId}`);
+  }
+
+  // ==========================================
+  // Prompt Library Methods
+  // ==========================================
+
+  /**
+   * Get all presets, sorted by name
+   * @returns {Array} Presets with parsed JSON fields
+   */
+  getPresets() {
+    const result = this.db.exec('SELECT * FROM presets ORDER BY name COLLATE NOCASE');
+
+    if (result.length === 0) {
+      return [];
+    }
+
+    const columns = result[0].columns;
+    const parseJson = (value) => {
+      try {
+        return value ? JSON.parse(value) : {};
+      } catch (error) {
+        console.warn('[Database] Failed to parse preset field:', error.message);
+        return {};
+      }
+    };
+
+    return result[0].values.map(row => ({
+      id: row[columns.indexOf('id')],
+      name: row[columns.indexOf('name')],
+      systemPrompt: row[columns.indexOf('system_prompt')] || '',
+      parameters: parseJson(row[columns.indexOf('parameters')]),
+      ragSettings: parseJson(row[columns.indexOf('rag_settings')]),
+      updated_at: row[columns.indexOf('updated_at')]
+    }));
+  }
+
+  /**
+   * Create a preset, or replace the preset with the same name
+   * @param {Object} preset - { name, systemPrompt, parameters, ragSettings }
+   * @returns {number} Preset ID
+   */
+  savePreset({ name, systemPrompt = '', parameters = {}, ragSettings = {} }) {
+    this.db.run(
+      `INSERT INTO presets (name, system_prompt, parameters, rag_settings)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         system_prompt = excluded.system_prompt,
+         parameters = excluded.parameters,
+         rag_settings = excluded.rag_settings,
+         updated_at = CURRENT_TIMESTAMP`,
+      [name, systemPrompt, JSON.stringify(parameters), JSON.stringify(ragSettings)]
+    );
+
+    const result = this.db.exec('SELECT id FROM presets WHERE name = ?', [name]);
+    const presetId = result[0].values[0][0];
+
+    console.log(`[Database] Saved preset: ${name} (ID: ${presetId})`);
+    return presetId;
+  }
+
+  /**
+   * Delete a preset
+   * @param {number} presetId - Preset ID
+   */
+  deletePreset(presetId) {
+    this.db.run('DELETE FROM presets WHERE id = ?', [presetId]);
+    console.log(`[Database] Deleted preset ID: ${presetId}`);
+  }
+
+  /**
+   * Get all prompt templates, sorted by name
+   * @returns {Array} Templates ({ id, name, template, updated_at })
+   */
+  getPromptTemplates() {
+    const result = this.db.exec('SELECT * FROM prompt_templates ORDER BY name COLLATE NOCASE');
+
+    if (result.length === 0) {
+      return [];
+    }
+
+    const columns = result[0].columns;
+    return result[0].values.map(row => ({
+      id: row[columns.indexOf('id')],
+      name: row[columns.indexOf('name')],
+      template: row[columns.indexOf('template')],
+      updated_at: row[columns.indexOf('updated_at')]
+    }));
+  }
+
+  /**
+   * Create a prompt template, or replace the template with the same name
+   * @param {Object} template - { name, template }
+   * @returns {number} Template ID
+   */
+  savePromptTemplate({ name, template }) {
+    this.db.run(
+      `INSERT INTO prompt_templates (name, template)
+       VALUES (?, ?)
+       ON CONFLICT(name) DO UPDATE SET
+         template = excluded.template,
+         updated_at = CURRENT_TIMESTAMP`,
+      [name, template]
+    );
+
+    const result = this.db.exec('SELECT id FROM prompt_templates WHERE name = ?', [name]);
+    const templateId = result[0].values[0][0];
+
+    console.log(`[Database] Saved prompt template: ${name} (ID: ${templateId})`);
+    return templateId;
+  }
+
+  /**
+   * Delete a prompt template
+   * @param {number} templateId - Template ID
+   */
+  deletePromptTemplate(templateId) {
+    this.db.run('DELETE FROM prompt_templates WHERE id = ?', [templateId]);
+    console.log(`[Database] Deleted prompt template ID: ${templateId}`);
+  }
+
   /**
    * Close database
    */
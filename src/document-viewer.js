@@ -0,0 +1,210 @@
+// Document viewer window JavaScript
+// Shows a RAG source document; PDFs open at the cited page with the chunk text highlighted.
+import { marked } from 'marked';
+
+// Configure marked options
+marked.setOptions({
+  breaks: true,
+  gfm: true,
+  headerIds: false,
+  mangle: false
+});
+
+// Currently shown document
+// { source, type: 'pdf'|'markdown'|'text', page, numPages, citedPage, highlight, text }
+let current = null;
+
+// 高速にページを切り替えた場合、古い描画結果を捨てるための番号
+let renderId = 0;
+
+function setStatus(text, warning = false) {
+  const status = document.getElementById('viewer-status');
+  status.textContent = text;
+  status.classList.toggle('warning', warning);
+}
+
+function showError(message) {
+  document.getElementById('viewer-toolbar').classList.add('hidden');
+  const content = document.getElementById('viewer-content');
+  content.innerHTML = `
+    <div class="empty-state">
+      <div class="empty-state-icon">⚠️</div>
+      <p>Failed to open the document</p>
+      <p style="font-size: 12px; margin-top: 5px;" id="viewer-error"></p>
+    </div>
+  `;
+  document.getElementById('viewer-error').textContent = message;
+}
+
+/**
+ * Show a document requested by the chat or the Manage RAG window
+ * @param {Object} request
+ * @param {string} request.source - Document path
+ * @param {number} request.page - Page to open (PDF only, optional)
+ * @param {string} request.highlight - Chunk text to highlight (optional)
+ */
+async function showDocument({ source, page = null, highlight = null }) {
+  const fileName = source.split('/').pop();
+  document.title = `Document Viewer — ${fileName}`;
+  document.getElementById('viewer-title').textContent = fileName;
+  document.getElementById('viewer-path').textContent = source;
+  setStatus('');
+
+  const isPdf = source.toLowerCase().endsWith('.pdf');
+  document.getElementById('viewer-toolbar').classList.remove('hidden');
+  document.getElementById('pdf-controls').classList.toggle('hidden', !isPdf);
+  document.getElementById('markdown-controls').classList.add('hidden');
+
+  try {
+    if (isPdf) {
+      const { numPages } = await window.electronAPI.openViewerPdf(source);
+      const citedPage = page ? Math.min(Math.max(1, page), numPages) : null;
+      current = { source, type: 'pdf', numPages, citedPage, highlight, page: citedPage || 1 };
+      document.getElementById('page-input').max = numPages;
+      document.getElementById('page-count').textContent = `/ ${numPages}`;
+      await showPdfPage(current.page);
+    } else {
+      const doc = await window.electronAPI.readViewerText(source, highlight);
+      current = { source, type: doc.type, highlight, text: doc };
+      const markdownControls = document.getElementById('markdown-controls');
+      markdownControls.classList.toggle('hidden', doc.type !== 'markdown');
+      // 引用元を開いた場合はハイライトが見えるようソース表示にする
+      document.getElementById('markdown-rendered').checked = doc.type === 'markdown' && !doc.range;
+      showTextDocument();
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to open document:', error);
+    current = null;
+    showError(error.message);
+  }
+}
+
+/**
+ * Render a page of the current PDF
+ * @param {number} pageNum - Page number (1-based)
+ */
+async function showPdfPage(pageNum) {
+  if (current?.type !== 'pdf') return;
+
+  const id = ++renderId;
+  current.page = Math.min(Math.max(1, pageNum), current.numPages);
+  document.getElementById('page-input').value = current.page;
+  document.getElementById('prev-page-btn').disabled = current.page <= 1;
+  document.getElementById('next-page-btn').disabled = current.page >= current.numPages;
+  document.getElementById('cited-page-btn').style.display =
+    current.citedPage && current.page !== current.citedPage ? 'inline-block' : 'none';
+
+  const onCitedPage = current.page === current.citedPage;
+  const scale = parseFloat(document.getElementById('zoom-select').value);
+  setStatus('Rendering...');
+
+  let rendered;
+  try {
+    rendered = await window.electronAPI.renderViewerPdfPage(current.source, current.page, {
+      scale,
+      highlight: onCitedPage ? current.highlight : null
+    });
+  } catch (error) {
+    console.error('[ERROR] Failed to render PDF page:', error);
+    if (id === renderId) showError(error.message);
+    return;
+  }
+  if (id !== renderId) return;
+
+  const pageEl = document.createElement('div');
+  pageEl.className = 'pdf-page';
+  pageEl.style.width = `${rendered.width}px`;
+  pageEl.style.height = `${rendered.height}px`;
+  const img = document.createElement('img');
+  img.src = rendered.imageUrl;
+  img.alt = `Page ${current.page}`;
+  pageEl.appendChild(img);
+
+  for (const rect of rendered.highlights) {
+    const mark = document.createElement('div');
+    mark.className = 'pdf-highlight';
+    mark.style.left = `${rect.left}px`;
+    mark.style.top = `${rect.top}px`;
+    mark.style.width = `${rect.width}px`;
+    mark.style.height = `${rect.height}px`;
+    pageEl.appendChild(mark);
+  }
+
+  const content = document.getElementById('viewer-content');
+  content.innerHTML = '';
+  content.appendChild(pageEl);
+
+  if (onCitedPage && current.highlight) {
+    if (rendered.found) {
+      setStatus(rendered.exact ? '🖍️ Cited chunk highlighted' : '🖍️ Cited chunk highlighted (approximate match)');
+      pageEl.querySelector('.pdf-highlight')?.scrollIntoView({ block: 'center' });
+    } else {
+      setStatus('⚠️ The cited chunk text could not be found on this page', true);
+    }
+  } else {
+    setStatus('');
+    content.scrollTop = 0;
+  }
+}
+
+// Show the current text or Markdown document (source view highlights the chunk)
+function showTextDocument() {
+  const { content: text, type, range } = current.text;
+  const rendered = type === 'markdown' && document.getElementById('markdown-rendered').checked;
+  const container = document.createElement('div');
+  container.className = 'text-document';
+
+  if (rendered) {
+    container.innerHTML = marked.parse(text);
+  } else {
+    container.classList.add('source');
+    if (range) {
+      const mark = document.createElement('mark');
+      mark.textContent = text.slice(range.start, range.end);
+      container.append(text.slice(0, range.start), mark, text.slice(range.end));
+    } else {
+      container.textContent = text;
+    }
+  }
+
+  const content = document.getElementById('viewer-content');
+  content.innerHTML = '';
+  content.appendChild(container);
+
+  if (!current.highlight) {
+    setStatus('');
+  } else if (!range) {
+    setStatus('⚠️ The cited chunk text could not be found in this document', true);
+  } else if (rendered) {
+    setStatus('Turn off "Rendered Markdown" to see the highlighted chunk');
+  } else {
+    setStatus(range.exact ? '🖍️ Cited chunk highlighted' : '🖍️ Cited chunk highlighted (approximate match)');
+    container.querySelector('mark').scrollIntoView({ block: 'center' });
+  }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+  window.electronAPI.onShowDocument(request => showDocument(request));
+
+  document.getElementById('prev-page-btn').addEventListener('click', () => showPdfPage(current.page - 1));
+  document.getElementById('next-page-btn').addEventListener('click', () => showPdfPage(current.page + 1));
+  document.getElementById('cited-page-btn').addEventListener('click', () => showPdfPage(current.citedPage));
+  document.getElementById('zoom-select').addEventListener('change', () => showPdfPage(current.page));
+  document.getElementById('page-input').addEventListener('change', (e) => {
+    const pageNum = parseInt(e.target.value, 10);
+    if (Number.isInteger(pageNum)) {
+      showPdfPage(pageNum);
+    } else {
+      e.target.value = current.page;
+    }
+  });
+  document.getElementById('markdown-rendered').addEventListener('change', showTextDocument);
+
+  // ←/→キーでページ送り
+  document.addEventListener('keydown', (e) => {
+    if (current?.type !== 'pdf' || e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    if (e.key === 'ArrowLeft') showPdfPage(current.page - 1);
+    if (e.key === 'ArrowRight') showPdfPage(current.page + 1);
+  });
+});
@@ -5,12 +5,12 @@
  */
 
 const {
-  ENTITY_TYPES,
-  RELATIONSHIP_TYPES,
   getEntityTypesPrompt,
   getRelationshipTypesPrompt,
+  getExtractionSchema,
   isValidRelationship
 } = require('./graphrag-types.js');
+const { validateJsonSchema } = require('./json-schema');
 
 /**
  * Generate extraction prompt for LLM
@@ -36,17 +36,7 @@ ${getRelationshipTypesPrompt()}
 7. For PAPER entities: extract only cited/referenced papers, NOT the current document
 
 ## Output Format
-CRITICAL: Your entire response MUST be ONLY a valid JSON object. Do NOT include ANY text, explanation, or commentary before or after the JSON.
-
-REQUIRED:
-- Return ONLY the JSON object, starting with { and ending with }
-- Use DOUBLE QUOTES (") for all strings, NOT single quotes (')
-- No trailing commas
-- No comments
-- No markdown code blocks (no \`\`\`)
-- No explanatory text whatsoever
-
-Your response should start with { and end with }
+Return a JSON object with this structure:
 
 {
   "entities": [
@@ -130,159 +120,78 @@ ${chunkContent}
 
 /**
  * Parse and validate extraction result from LLM
+ * The LLM is called with getExtractionSchema() as `format`, so the output is
+ * plain JSON; entries that do not match the schema or reference unknown
+ * entities are skipped.
  * @param {string} llmOutput - Raw output from LLM
  * @returns {Object|null} Parsed result or null if invalid
  */
 function parseExtractionResult(llmOutput) {
+  let result;
   try {
-    // Log raw output for debugging
-    console.log('[GraphRAG] Raw LLM output length:', llmOutput.length);
-    console.log('[GraphRAG] Raw LLM output (first 1000 chars):');
-    console.log(llmOutput.substring(0, 1000));
-    console.log('[GraphRAG] ---');
-
-    // Remove markdown code blocks if present
-    let cleaned = llmOutput.trim();
-    if (cleaned.startsWith('```json')) {
-      cleaned = cleaned.replace(/```json\n?/g, '').replace(/```\n?/g, '');
-    } else if (cleaned.startsWith('```')) {
-      cleaned = cleaned.replace(/```\n?/g, '');
-    }
-
-    // Try to extract JSON object from text
-    // Look for the first { and last } to extract just the JSON part
-    const firstBrace = cleaned.indexOf('{');
-    const lastBrace = cleaned.lastIndexOf('}');
+    result = JSON.parse(llmOutput.trim());
+  } catch (error) {
+    console.error('[GraphRAG] LLM output is not valid JSON:', error.message);
+    console.error('[GraphRAG] Raw output (first 1000 chars):', llmOutput.substring(0, 1000));
+    return null;
+  }
 
-    if (firstBrace !== -1 && lastBrace !== -1 && firstBrace < lastBrace) {
-      const extractedJson = cleaned.substring(firstBrace, lastBrace + 1);
-      if (extractedJson.length < cleaned.length) {
-        console.log('[GraphRAG] Extracted JSON from mixed content');
-        cleaned = extractedJson;
-      }
-    }
+  // Validate structure
+  if (!result || !Array.isArray(result.entities)) {
+    console.warn('[GraphRAG] Invalid extraction result: missing entities array');
+    return null;
+  }
 
-    // Try to fix common JSON issues
-    // Replace single quotes with double quotes (if they're property quotes)
-    cleaned = cleaned.replace(/'\s*:\s*/g, '": ');
-    cleaned = cleaned.replace(/:\s*'/g, ': "');
-    cleaned = cleaned.replace(/,\s*'/g, ', "');
-    cleaned = cleaned.replace(/\[\s*'/g, '["');
-    cleaned = cleaned.replace(/'\s*\]/g, '"]');
-    cleaned = cleaned.replace(/\{\s*'/g, '{"');
-
-    console.log('[GraphRAG] Cleaned JSON (first 500 chars):', cleaned.substring(0, 500));
-
-    let result;
-    try {
-      result = JSON.parse(cleaned);
-    } catch (parseError) {
-      console.error('[GraphRAG] JSON parse error:', parseError.message);
-
-      // Extract error position
-      const match = parseError.message.match(/position (\d+)/);
-      if (match) {
-        const pos = parseInt(match[1]);
-        const start = Math.max(0, pos - 100);
-        const end = Math.min(cleaned.length, pos + 100);
-        console.error('[GraphRAG] Error context:', cleaned.substring(start, end));
-        console.error('[GraphRAG] Error at position:', pos, '(^)');
-      }
+  if (!Array.isArray(result.relationships)) {
+    console.warn('[GraphRAG] Invalid extraction result: missing relationships array');
+    return null;
+  }
 
-      // Try one more time with more aggressive cleaning
-      console.log('[GraphRAG] Attempting more aggressive JSON fixes...');
-
-      // Remove trailing commas
-      cleaned = cleaned.replace(/,(\s*[}\]])/g, '$1');
-
-      // Fix unquoted property names
-      cleaned = cleaned.replace(/([{,]\s*)([a-zA-Z_][a-zA-Z0-9_]*)\s*:/g, '$1"$2":');
-
-      // Try parsing again
-      try {
-        result = JSON.parse(cleaned);
-        console.log('[GraphRAG] Successfully parsed after aggressive fixes');
-      } catch (secondError) {
-        console.error('[GraphRAG] Still failed after aggressive fixes:', secondError.message);
-        console.error('[GraphRAG] Failed JSON content (first 1000 chars):');
-        console.error(cleaned.substring(0, 1000));
-        console.error('[GraphRAG] Please check if the LLM is returning valid JSON format');
-        return null;
-      }
-    }
+  const schema = getExtractionSchema();
 
-    // Validate structure
-    if (!result.entities || !Array.isArray(result.entities)) {
-      console.warn('[GraphRAG] Invalid extraction result: missing entities array');
-      return null;
+  // Validate entities
+  const validEntities = result.entities.filter((entity, index) => {
+    const errors = validateJsonSchema(entity, schema.properties.entities.items, `entities[${index}]`);
+    if (errors.length > 0) {
+      console.warn('[GraphRAG] Skipping invalid entity:', errors.join('; '));
+      return false;
     }
-
-    if (!result.relationships || !Array.isArray(result.relationships)) {
-      console.warn('[GraphRAG] Invalid extraction result: missing relationships array');
-      return null;
+    return true;
+  });
+
+  // Create entity name -> type mapping for relationship validation
+  const entityMap = new Map();
+  validEntities.forEach(entity => {
+    entityMap.set(entity.name, entity.type);
+  });
+
+  // Validate relationships
+  const validRelationships = result.relationships.filter((rel, index) => {
+    const errors = validateJsonSchema(rel, schema.properties.relationships.items, `relationships[${index}]`);
+    if (errors.length > 0) {
+      console.warn('[GraphRAG] Skipping invalid relationship:', errors.join('; '));
+      return false;
     }
 
-    // Validate entities
-    const validEntities = result.entities.filter(entity => {
-      if (!entity.name || !entity.type) {
-        console.warn('[GraphRAG] Skipping invalid entity:', entity);
-        return false;
-      }
+    // Check if source and target entities exist
+    const sourceType = entityMap.get(rel.source);
+    const targetType = entityMap.get(rel.target);
 
-      if (!Object.values(ENTITY_TYPES).includes(entity.type)) {
-        console.warn(`[GraphRAG] Unknown entity type: ${entity.type}`);
-        return false;
-      }
-
-      return true;
-    });
-
-    // Create entity name -> type mapping for relationship validation
-    const entityMap = new Map();
-    validEntities.forEach(entity => {
-      entityMap.set(entity.name, entity.type);
-    });
-
-    // Validate relationships
-    const validRelationships = result.relationships.filter(rel => {
-      if (!rel.source || !rel.target || !rel.type) {
-        console.warn('[GraphRAG] Skipping invalid relationship:', rel);
-        return false;
-      }
-
-      if (!Object.values(RELATIONSHIP_TYPES).includes(rel.type)) {
-        console.warn(`[GraphRAG] Unknown relationship type: ${rel.type}`);
-        return false;
-      }
-
-      // Check if source and target entities exist
-      const sourceType = entityMap.get(rel.source);
-      const targetType = entityMap.get(rel.target);
-
-      if (!sourceType || !targetType) {
-        console.warn(
-          `[GraphRAG] Relationship references non-existent entity: ${rel.source} -> ${rel.target}`
-        );
-        return false;
-      }
-
-      // Validate relationship pattern
-      if (!isValidRelationship(rel.type, sourceType, targetType)) {
-        return false;
-      }
+    if (!sourceType || !targetType) {
+      console.warn(
+        `[GraphRAG] Relationship references non-existent entity: ${rel.source} -> ${rel.target}`
+      );
+      return false;
+    }
 
-      return true;
-    });
+    // Validate relationship pattern
+    return isValidRelationship(rel.type, sourceType, targetType);
+  });
 
-    return {
-      entities: validEntities,
-      relationships: validRelationships
-    };
-  } catch (error) {
-    console.error('[GraphRAG] Failed to parse extraction result:', error);
-    console.error('[GraphRAG] Raw output:', llmOutput);
-    return null;
-  }
+  return {
+    entities: validEntities,
+    relationships: validRelationships
+  };
 }
 
 /**
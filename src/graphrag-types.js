@@ -223,6 +223,46 @@ function getRelationshipTypesPrompt() {
     .join('\n');
 }
 
+/**
+ * JSON Schema of the extraction result
+ * Passed to Ollama as `format` so that the model can only produce valid JSON
+ * with known entity and relationship types.
+ * @returns {Object} JSON Schema
+ */
+function getExtractionSchema() {
+  return {
+    type: 'object',
+    properties: {
+      entities: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: Object.values(ENTITY_TYPES) },
+            description: { type: 'string' }
+          },
+          required: ['name', 'type', 'description']
+        }
+      },
+      relationships: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            source: { type: 'string', minLength: 1 },
+            target: { type: 'string', minLength: 1 },
+            type: { type: 'string', enum: Object.values(RELATIONSHIP_TYPES) },
+            description: { type: 'string' }
+          },
+          required: ['source', 'target', 'type', 'description']
+        }
+      }
+    },
+    required: ['entities', 'relationships']
+  };
+}
+
 module.exports = {
   ENTITY_TYPES,
   RELATIONSHIP_TYPES,
@@ -231,5 +271,6 @@ module.exports = {
   VALID_RELATIONSHIP_PATTERNS,
   isValidRelationship,
   getEntityTypesPrompt,
-  getRelationshipTypesPrompt
+  getRelationshipTypesPrompt,
+  getExtractionSchema
 };
@@ -0,0 +1,196 @@
+/**
+ * Answer Grounding Check
+ *
+ * Splits a RAG answer into claims (sentences) and rates how well each one
+ * is supported by the retrieved chunks, either by embedding similarity or
+ * by asking a chat model to judge (structured output).
+ *
+ * Verdicts: supported / partial / unsupported
+ */
+
+const { validateJsonSchema } = require('./json-schema');
+
+const GROUNDING_METHODS = {
+  off: 'Off',
+  embedding: 'Embedding similarity',
+  llm: 'LLM judge'
+};
+
+const GROUNDING_VERDICTS = ['supported', 'partial', 'unsupported'];
+
+// コサイン類似度のしきい値（埋め込みモデルによって分布が違うため目安）
+const SUPPORTED_SIMILARITY = 0.75;
+const PARTIAL_SIMILARITY = 0.6;
+
+// 短すぎる文（「はい。」など）は主張として扱わない
+const MIN_CLAIM_LENGTH = 12;
+
+// 1回のチェックで判定する文の上限
+const MAX_CLAIMS = 30;
+
+// 引用マーカー [1] / [1, 3] / [2-4]
+const CITATION_MARKERS = /\s*\[\d+(?:\s*[-–,]\s*\d+)*\]/g;
+
+// 文末（。！？の後は空白なし、.!?の後は空白）。後ろに続く引用マーカーは前の文に含める
+const SENTENCE_BOUNDARY = /(?<=[。！？](?:\s*\[[\d\s,–-]+\])*)\s*|(?<=[.!?](?:\s*\[[\d\s,–-]+\])*)\s+/;
+
+/**
+ * Remove citation markers from a claim before it is checked
+ * @param {string} text - Sentence of the answer
+ * @returns {string} Sentence without [n] markers
+ */
+function stripCitationMarkers(text) {
+  return text.replace(CITATION_MARKERS, '').trim();
+}
+
+/**
+ * Split a block of answer text (paragraph, list item) into claims
+ * @param {string} text - Plain text of one block
+ * @returns {Array<string>} Sentences long enough to be checked (questions are skipped)
+ */
+function splitIntoClaims(text) {
+  return text
+    .replace(/\s+/g, ' ')
+    .split(SENTENCE_BOUNDARY)
+    .map(sentence => sentence.trim())
+    .filter(sentence => {
+      const claim = stripCitationMarkers(sentence);
+      return claim.length >= MIN_CLAIM_LENGTH && !/[?？]$/.test(claim);
+    });
+}
+
+/**
+ * Map an embedding similarity to a verdict
+ * @param {number} similarity - Cosine similarity of the claim and its closest chunk
+ * @returns {string} Verdict
+ */
+function classifySimilarity(similarity) {
+  if (similarity >= SUPPORTED_SIMILARITY) return 'supported';
+  if (similarity >= PARTIAL_SIMILARITY) return 'partial';
+  return 'unsupported';
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rate claims by their similarity to the chunks
+ * @param {Array<Array<number>>} claimVectors - Embeddings of the claims
+ * @param {Array<Array<number>>} chunkVectors - Embeddings of the chunks (in reference order)
+ * @returns {Array<Object>} [{ verdict, score, chunks: [reference numbers] }]
+ */
+function rateBySimilarity(claimVectors, chunkVectors) {
+  return claimVectors.map(claimVector => {
+    const similarities = chunkVectors.map(chunkVector => cosineSimilarity(claimVector, chunkVector));
+    const score = Math.max(...similarities);
+    const chunks = similarities
+      .map((similarity, index) => ({ similarity, number: index + 1 }))
+      .filter(({ similarity }) => similarity >= PARTIAL_SIMILARITY)
+      .sort((a, b) => b.similarity - a.similarity)
+      .map(({ number }) => number);
+    return { verdict: classifySimilarity(score), score, chunks };
+  });
+}
+
+/**
+ * JSON Schema for the judge's answer (Ollama structured output)
+ * @param {number} claimCount - Number of claims
+ * @param {number} chunkCount - Number of chunks
+ * @returns {Object} JSON Schema
+ */
+function getJudgeSchema(claimCount, chunkCount) {
+  return {
+    type: 'object',
+    properties: {
+      results: {
+        type: 'array',
+        minItems: claimCount,
+        maxItems: claimCount,
+        items: {
+          type: 'object',
+          properties: {
+            claim: { type: 'integer', minimum: 1, maximum: claimCount },
+            verdict: { type: 'string', enum: GROUNDING_VERDICTS },
+            chunks: { type: 'array', items: { type: 'integer', minimum: 1, maximum: chunkCount } }
+          },
+          required: ['claim', 'verdict', 'chunks']
+        }
+      }
+    },
+    required: ['results']
+  };
+}
+
+/**
+ * Build the prompt for the judge call
+ * @param {Array<string>} claims - Claims without citation markers
+ * @param {Array<string>} chunks - Chunk texts (in reference order)
+ * @returns {string} Prompt
+ */
+function buildJudgePrompt(claims, chunks) {
+  const references = chunks.map((text, index) => `[${index + 1}]\n${text}`).join('\n\n');
+  const claimList = claims.map((claim, index) => `${index + 1}. ${claim}`).join('\n');
+
+  return `You check whether statements are supported by reference texts.
+
+For each numbered statement decide:
+- "supported": the references state it (paraphrases count)
+- "partial": the references support part of it, or only something similar
+- "unsupported": the references do not contain it, or contradict it
+
+Use only the references, not your own knowledge. List the numbers of the references that support the statement in "chunks" (empty if unsupported).
+
+REFERENCES:
+${references}
+
+STATEMENTS:
+${claimList}
+
+Answer with one result per statement, in the same order.`;
+}
+
+/**
+ * Parse and validate the judge's answer
+ * @param {string} output - Raw model output
+ * @param {number} claimCount - Number of claims
+ * @param {number} chunkCount - Number of chunks
+ * @returns {Array<Object>} [{ verdict, chunks }] in claim order
+ */
+function parseJudgeResult(output, claimCount, chunkCount) {
+  const value = JSON.parse(output);
+  const errors = validateJsonSchema(value, getJudgeSchema(claimCount, chunkCount));
+  if (errors.length > 0) {
+    throw new Error(`Invalid judge result: ${errors.slice(0, 3).join('; ')}`);
+  }
+
+  const byClaim = new Map(value.results.map(result => [result.claim, result]));
+  return Array.from({ length: claimCount }, (_, index) => {
+    const result = byClaim.get(index + 1);
+    if (!result) {
+      throw new Error(`Invalid judge result: no verdict for statement ${index + 1}`);
+    }
+    return { verdict: result.verdict, chunks: [...new Set(result.chunks)] };
+  });
+}
+
+module.exports = {
+  GROUNDING_METHODS,
+  GROUNDING_VERDICTS,
+  MAX_CLAIMS,
+  stripCitationMarkers,
+  splitIntoClaims,
+  classifySimilarity,
+  rateBySimilarity,
+  getJudgeSchema,
+  buildJudgePrompt,
+  parseJudgeResult
+};
@@ -3,10 +3,31 @@ const path = require('path');
 
 let mainWindow;
 let manageRAGWindow = null;
+let compareWindow = null;
+let documentViewerWindow = null;
+let modelManagerWindow = null;
 
 // グローバルにmainWindowを設定（server.jsからアクセスできるように）
 global.mainWindow = null;
 
+// ベクターDBのパスを環境に応じて設定（RAGストアとサーバーを読み込む前に設定する）
+process.env.VECTOR_DB_PATH = app.isPackaged
+  ? path.join(process.resourcesPath, 'vector-db')
+  : path.join(app.getAppPath(), 'vector-db');
+
+// RAGストア（DB・ベクターストア）はメインプロセスに1つだけ置き、全ウィンドウとサーバーで共有する
+const ragStore = require('./rag-store');
+const {
+  getOllamaConnection,
+  setOllamaConnection,
+  testOllamaConnection,
+  getOllamaHealth,
+  checkOllamaHealth,
+  onOllamaHealthChange,
+  startOllamaHealthChecks
+} = require('./ollama-connection');
+const modelManager = require('./model-manager');
+
 // ✨ サーバー起動をここで呼び出す
 let server = null;
 try {
@@ -16,13 +37,6 @@ try {
 }
 
 function createMainWindow() {
-  // ベクターDBのパスを環境に応じて設定
-  const vectorDbPath = app.isPackaged
-    ? path.join(process.resourcesPath, 'vector-db')
-    : path.join(app.getAppPath(), 'vector-db');
-
-  process.env.VECTOR_DB_PATH = vectorDbPath;
-
   mainWindow = new BrowserWindow({
     width: 1400,
     height: 800,
@@ -178,6 +192,11 @@ function createMenu() {
 app.whenReady().then(() => {
     createMenu();
     createMainWindow();
+    // ベクターストアをバックグラウンドでロード
+    ragStore.loadVectorStore().catch(error => {
+      console.error('[ERROR] Failed to load vector store:', error);
+    });
+    startOllamaHealthChecks();
   });
 
 app.on('window-all-closed', () => {
@@ -248,6 +267,205 @@ ipcMain.handle('open-manage-rag-window', () => {
   });
 });
 
+// モデル比較ウィンドウを開く
+// settings: { retrieval } チャット画面のRAG検索パラメータ（'compare-settings' で比較ウィンドウに送る）
+ipcMain.handle('open-compare-window', (event, settings) => {
+  if (compareWindow) {
+    compareWindow.webContents.send('compare-settings', settings);
+    compareWindow.focus();
+    return;
+  }
+
+  compareWindow = new BrowserWindow({
+    width: 1400,
+    height: 850,
+    minWidth: 900,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: false
+    },
+    parent: mainWindow,
+    title: 'Compare Models'
+  });
+
+  const comparePath = path.join(__dirname, '../build/compare.html');
+  compareWindow.loadFile(comparePath);
+
+  compareWindow.webContents.once('did-finish-load', () => {
+    compareWindow.webContents.send('compare-settings', settings);
+  });
+
+  // クリック時にウィンドウを前面に表示
+  compareWindow.on('focus', () => {
+    if (compareWindow && !compareWindow.isDestroyed()) {
+      compareWindow.moveTop();
+    }
+  });
+
+  compareWindow.on('closed', () => {
+    compareWindow = null;
+  });
+});
+
+// モデル管理ウィンドウを開く
+ipcMain.handle('open-model-manager-window', () => {
+  if (modelManagerWindow) {
+    modelManagerWindow.focus();
+    return;
+  }
+
+  modelManagerWindow = new BrowserWindow({
+    width: 1200,
+    height: 850,
+    minWidth: 900,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: false
+    },
+    parent: mainWindow,
+    title: 'Manage Models'
+  });
+
+  const modelManagerPath = path.join(__dirname, '../build/manage-models.html');
+  modelManagerWindow.loadFile(modelManagerPath);
+
+  // クリック時にウィンドウを前面に表示
+  modelManagerWindow.on('focus', () => {
+    if (modelManagerWindow && !modelManagerWindow.isDestroyed()) {
+      modelManagerWindow.moveTop();
+    }
+  });
+
+  modelManagerWindow.on('closed', () => {
+    modelManagerWindow = null;
+  });
+});
+
+// ドキュメントビューアを開く（既に開いている場合は表示するドキュメントを切り替える）
+// request: { source, page, highlight }
+ipcMain.handle('open-document-viewer', (event, request) => {
+  if (documentViewerWindow) {
+    documentViewerWindow.webContents.send('show-document', request);
+    documentViewerWindow.focus();
+    return;
+  }
+
+  documentViewerWindow = new BrowserWindow({
+    width: 1000,
+    height: 900,
+    minWidth: 600,
+    webPreferences: {
+      preload: path.join(__dirname, 'preload.js'),
+      contextIsolation: true,
+      nodeIntegration: false,
+      sandbox: false
+    },
+    parent: mainWindow,
+    title: 'Document Viewer'
+  });
+
+  const viewerPath = path.join(__dirname, '../build/document-viewer.html');
+  documentViewerWindow.loadFile(viewerPath);
+
+  documentViewerWindow.webContents.once('did-finish-load', () => {
+    documentViewerWindow.webContents.send('show-document', request);
+  });
+
+  // クリック時にウィンドウを前面に表示
+  documentViewerWindow.on('focus', () => {
+    if (documentViewerWindow && !documentViewerWindow.isDestroyed()) {
+      documentViewerWindow.moveTop();
+    }
+  });
+
+  documentViewerWindow.on('closed', () => {
+    documentViewerWindow = null;
+  });
+});
+
+// RAGストアの関数を呼び出す（preload.jsのinvokeStore()から）
+// GraphRAG抽出の進捗は呼び出し元のウィンドウに 'graphrag-progress' で送る
+// 呼び出せるのはpreload.jsが使う関数だけ（rag-store.jsの他の関数はメインプロセス専用）
+const RAG_STORE_IPC_METHODS = [
+  'readAndSplit', 'saveChunksToFaiss', 'saveSourceMeta', 'getStoredSources', 'deleteDocumentFromStore',
+  'loadVectorStore', 'searchFromStore', 'lookupGraphEntity', 'setEmbedderModel', 'getCurrentEmbedderModel',
+  'checkEmbedModelExists', 'extractGraphRAGForDocument', 'getGraphRAGProgress',
+  'listChatSessions', 'getChatSession', 'saveChatSession', 'renameChatSession', 'duplicateChatSession', 'deleteChatSession',
+  'listPresets', 'savePreset', 'deletePreset', 'listPromptTemplates', 'savePromptTemplate', 'deletePromptTemplate',
+  'importPromptLibrary', 'checkGrounding', 'assertViewableDocument', 'readViewerText'
+];
+
+ipcMain.handle('rag-store', (event, method, ...args) => {
+  if (!RAG_STORE_IPC_METHODS.includes(method)) {
+    throw new Error(`Unknown RAG store method: ${method}`);
+  }
+
+  if (method === 'extractGraphRAGForDocument') {
+    const [source, chatModel] = args;
+    return ragStore.extractGraphRAGForDocument(source, chatModel, progress => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('graphrag-progress', { source, ...progress });
+      }
+    });
+  }
+
+  return ragStore[method](...args);
+});
+
+// モデル管理の関数を呼び出す（preload.jsのinvokeModelManager()から）
+// pull/createの進捗は呼び出し元のウィンドウに 'model-progress' で送り、
+// モデルが変わったらメインウィンドウのモデル一覧を更新させる
+const MODEL_CHANGING_METHODS = ['pullModel', 'createModel', 'deleteModel', 'copyModel'];
+
+ipcMain.handle('model-manager', async (event, method, ...args) => {
+  if (!Object.hasOwn(modelManager, method) || typeof modelManager[method] !== 'function') {
+    throw new Error(`Unknown model manager method: ${method}`);
+  }
+
+  let result;
+  if (method === 'pullModel' || method === 'createModel') {
+    const [options] = args;
+    result = await modelManager[method](options, progress => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('model-progress', { jobId: options.jobId, ...progress });
+      }
+    });
+  } else {
+    result = await modelManager[method](...args);
+  }
+
+  if (MODEL_CHANGING_METHODS.includes(method) && mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('ollama-models-changed');
+  }
+  return result;
+});
+
+// Ollamaの接続先（ベースURL・トークン・ヘッダー）
+ipcMain.handle('get-ollama-connection', () => getOllamaConnection());
+ipcMain.handle('set-ollama-connection', (event, settings) => setOllamaConnection(settings));
+ipcMain.handle('test-ollama-connection', (event, settings) => testOllamaConnection(settings));
+ipcMain.handle('get-ollama-health', () => getOllamaHealth());
+ipcMain.handle('check-ollama-health', () => checkOllamaHealth());
+
+// エンドポイントの状態が変わったらメインウィンドウの表示を更新する
+onOllamaHealthChange(healthList => {
+  if (mainWindow && !mainWindow.isDestroyed()) {
+    mainWindow.webContents.send('ollama-health', healthList);
+  }
+});
+
+// REST APIのトークン（RAG管理ウィンドウからコピーできるようにする）
+ipcMain.handle('get-api-token', () => {
+  if (!server || typeof server.getApiToken !== 'function') {
+    return null;
+  }
+  return server.getApiToken();
+});
+
 // エンべディングモデル変更通知をすべてのウィンドウにブロードキャスト
 ipcMain.on('embed-model-changed', (event, modelName) => {
   // メインウィンドウに通知
@@ -258,4 +476,8 @@ ipcMain.on('embed-model-changed', (event, modelName) => {
   if (manageRAGWindow && !manageRAGWindow.isDestroyed()) {
     manageRAGWindow.webContents.send('embed-model-changed', modelName);
   }
+  // compareウィンドウに通知（RAG検索で同じ埋め込みモデルを使うため）
+  if (compareWindow && !compareWindow.isDestroyed()) {
+    compareWindow.webContents.send('embed-model-changed', modelName);
+  }
 });
\ No newline at end of file
@@ -0,0 +1,419 @@
+// Manage Models window JavaScript
+import { parseModelfile, createModelfileDraft } from './modelfile';
+
+const HEALTH_ICONS = { online: '🟢', offline: '🔴', unknown: '⚪' };
+
+// Global state
+let endpoints = []; // getOllamaHealth() of all endpoints
+let models = []; // Merged model list (each with the names of the endpoints that have it)
+let selectedModel = null;
+let selectedDetails = null;
+let pullJobId = null;
+let createJobId = null;
+
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function formatBytes(bytes) {
+  if (typeof bytes !== 'number') return '–';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+}
+
+function formatDate(isoString) {
+  return isoString ? new Date(isoString).toLocaleString() : '–';
+}
+
+function findEndpointByName(name) {
+  return endpoints.find(endpoint => endpoint.name === name);
+}
+
+// Reload the endpoints and models
+async function refreshModels() {
+  try {
+    const result = await window.electronAPI.listManagedModels();
+    endpoints = result.endpoints;
+    models = result.models;
+  } catch (error) {
+    console.error('[ERROR] Failed to load models:', error);
+    alert(`⚠️ Failed to Load Models\n\n${error.message}`);
+    return;
+  }
+
+  renderEndpointSelect();
+  renderModelList();
+  document.getElementById('model-count').textContent = models.length;
+
+  if (selectedModel && !models.some(model => model.name === selectedModel)) {
+    hideModelDetails();
+  } else if (selectedModel) {
+    renderDetailEndpointSelect();
+  }
+}
+
+function renderEndpointSelect() {
+  const select = document.getElementById('endpoint-select');
+  const previous = select.value;
+  select.innerHTML = '';
+  endpoints.forEach(endpoint => {
+    const option = document.createElement('option');
+    option.value = endpoint.id;
+    option.textContent = `${HEALTH_ICONS[endpoint.status] || ''} ${endpoint.name} (${endpoint.baseUrl})`;
+    select.appendChild(option);
+  });
+  if (endpoints.some(endpoint => endpoint.id === previous)) {
+    select.value = previous;
+  }
+  showEndpointStatus();
+}
+
+function showEndpointStatus() {
+  const endpoint = endpoints.find(item => item.id === document.getElementById('endpoint-select').value);
+  const status = document.getElementById('endpoint-status');
+  if (!endpoint) {
+    status.textContent = '';
+  } else if (endpoint.status === 'online') {
+    status.textContent = `Online · Ollama ${endpoint.version} · ${endpoint.modelCount} ${endpoint.modelCount === 1 ? 'model' : 'models'}`;
+  } else {
+    status.textContent = `Offline${endpoint.error ? ` · ${endpoint.error}` : ''}`;
+  }
+}
+
+function renderModelList() {
+  const container = document.getElementById('model-list');
+  container.innerHTML = '';
+
+  if (models.length === 0) {
+    const offline = endpoints.length > 0 && endpoints.every(endpoint => endpoint.status !== 'online');
+    container.appendChild(createElement('div', 'empty-state',
+      offline ? 'No Ollama endpoint is reachable' : 'No models installed yet — pull one on the left'));
+    return;
+  }
+
+  // 複数のエンドポイントがある場合だけ、どこにあるかを表示する
+  const showEndpoints = endpoints.length > 1;
+  const table = createElement('table', 'model-table');
+  const head = table.createTHead().insertRow();
+  ['Name', 'Size', 'Family', 'Parameters', 'Quantization', ...(showEndpoints ? ['Endpoints'] : []), 'Modified']
+    .forEach(label => head.appendChild(createElement('th', null, label)));
+
+  const body = table.createTBody();
+  for (const model of models) {
+    const row = body.insertRow();
+    row.classList.toggle('selected', model.name === selectedModel);
+    row.insertCell().textContent = model.name;
+    row.insertCell().textContent = formatBytes(model.size);
+    row.insertCell().textContent = model.family || '–';
+    row.insertCell().textContent = model.parameterSize || '–';
+    row.insertCell().textContent = model.quantization || '–';
+    if (showEndpoints) {
+      row.insertCell().textContent = model.endpoints.join(', ');
+    }
+    row.insertCell().textContent = formatDate(model.modifiedAt);
+    row.addEventListener('click', () => selectModel(model.name));
+  }
+  container.appendChild(table);
+}
+
+// Endpoints on which the selected model can be copied or deleted
+function renderDetailEndpointSelect() {
+  const model = models.find(item => item.name === selectedModel);
+  const select = document.getElementById('detail-endpoint-select');
+  const previous = select.value;
+  select.innerHTML = '';
+  (model?.endpoints || []).forEach(name => {
+    const endpoint = findEndpointByName(name);
+    if (!endpoint) return;
+    const option = document.createElement('option');
+    option.value = endpoint.id;
+    option.textContent = endpoint.name;
+    select.appendChild(option);
+  });
+  if ([...select.options].some(option => option.value === previous)) {
+    select.value = previous;
+  }
+}
+
+function hideModelDetails() {
+  selectedModel = null;
+  selectedDetails = null;
+  document.getElementById('model-details').classList.add('hidden');
+}
+
+async function selectModel(name) {
+  selectedModel = name;
+  selectedDetails = null;
+  renderModelList();
+  renderDetailEndpointSelect();
+
+  document.getElementById('model-details').classList.remove('hidden');
+  document.getElementById('model-details-title').textContent = `Model Details: ${name}`;
+  const body = document.getElementById('model-details-body');
+  body.innerHTML = '';
+  body.appendChild(createElement('div', 'hint', 'Loading...'));
+
+  try {
+    const details = await window.electronAPI.showModel(name);
+    // 読み込み中に別のモデルが選択された場合は表示しない
+    if (selectedModel !== name) return;
+    selectedDetails = details;
+    renderModelDetails(details);
+  } catch (error) {
+    console.error('[ERROR] Failed to show model:', error);
+    body.innerHTML = '';
+    body.appendChild(createElement('div', 'modelfile-errors', `❌ ${error.message}`));
+  }
+}
+
+function addInfoItem(container, label, value) {
+  const item = createElement('div', 'info-item');
+  item.appendChild(createElement('div', 'info-label', label));
+  item.appendChild(createElement('div', 'info-value', value ?? '–'));
+  container.appendChild(item);
+}
+
+// Collapsible block for long text (template, system prompt, license)
+function addTextBlock(container, title, text, emptyText) {
+  const block = createElement('details', 'detail-block');
+  block.appendChild(createElement('summary', null, title));
+  block.appendChild(createElement('pre', null, text || emptyText));
+  container.appendChild(block);
+  return block;
+}
+
+function renderModelDetails(details) {
+  const body = document.getElementById('model-details-body');
+  body.innerHTML = '';
+
+  const grid = createElement('div', 'detail-grid');
+  const otherFamilies = details.families.filter(family => family !== details.family);
+  addInfoItem(grid, 'Family', details.family
+    ? `${details.family}${otherFamilies.length > 0 ? ` (+ ${otherFamilies.join(', ')})` : ''}`
+    : null);
+  addInfoItem(grid, 'Parameter size', details.parameterSize);
+  addInfoItem(grid, 'Quantization', details.quantization);
+  addInfoItem(grid, 'Format', details.format);
+  addInfoItem(grid, 'Context length', details.contextLength?.toLocaleString());
+  addInfoItem(grid, 'Embedding length', details.embeddingLength?.toLocaleString());
+  addInfoItem(grid, 'Modified', formatDate(details.modifiedAt));
+  body.appendChild(grid);
+
+  const capabilities = createElement('div', 'detail-block');
+  capabilities.appendChild(createElement('div', 'info-label', 'Capabilities'));
+  details.capabilities.forEach(capability => capabilities.appendChild(createElement('span', 'capability-badge', capability)));
+  body.appendChild(capabilities);
+
+  const parameters = createElement('details', 'detail-block');
+  parameters.open = true;
+  parameters.appendChild(createElement('summary', null, `Parameters (${details.parameters.length})`));
+  if (details.parameters.length === 0) {
+    parameters.appendChild(createElement('div', 'hint', 'None — Ollama\'s defaults are used'));
+  } else {
+    const table = createElement('table', 'model-table');
+    const tbody = table.createTBody();
+    details.parameters.forEach(({ name, value }) => {
+      const row = tbody.insertRow();
+      row.insertCell().textContent = name;
+      row.insertCell().textContent = value;
+    });
+    parameters.appendChild(table);
+  }
+  body.appendChild(parameters);
+
+  addTextBlock(body, 'System prompt', details.system, 'None');
+  addTextBlock(body, 'Template', details.template, 'None');
+  addTextBlock(body, 'License', details.license, 'No license information');
+}
+
+function showProgress(prefix, active) {
+  document.getElementById(`${prefix}-progress`).classList.toggle('active', active);
+  document.getElementById(`cancel-${prefix}-btn`).style.display = active ? 'inline-block' : 'none';
+}
+
+async function pullModel() {
+  const input = document.getElementById('pull-model-name');
+  const model = input.value.trim();
+  const endpointId = document.getElementById('endpoint-select').value;
+  if (!model) {
+    alert('⚠️ No Model Name\n\nEnter the name of a model, e.g. llama3.2 or llama3.2:3b');
+    return;
+  }
+  if (!endpointId) {
+    alert('⚠️ No Endpoint\n\nAdd an Ollama endpoint in the main window first.');
+    return;
+  }
+
+  const button = document.getElementById('pull-btn');
+  const bar = document.getElementById('pull-progress-bar');
+  const text = document.getElementById('pull-progress-text');
+  button.disabled = true;
+  bar.style.width = '0%';
+  bar.textContent = '';
+  text.textContent = `Pulling ${model}...`;
+  showProgress('pull', true);
+
+  // Ollamaはレイヤー（digest）ごとに進捗を送るので、全レイヤーの合計で表示する
+  const layers = new Map();
+  pullJobId = crypto.randomUUID();
+  try {
+    await window.electronAPI.pullModel({ jobId: pullJobId, endpointId, model }, progress => {
+      if (progress.digest && progress.total) {
+        layers.set(progress.digest, { total: progress.total, completed: progress.completed || 0 });
+      }
+      const total = [...layers.values()].reduce((sum, layer) => sum + layer.total, 0);
+      const completed = [...layers.values()].reduce((sum, layer) => sum + layer.completed, 0);
+      const percentage = total > 0 ? Math.floor((completed / total) * 100) : 0;
+      bar.style.width = `${percentage}%`;
+      bar.textContent = total > 0 ? `${percentage}%` : '';
+      text.textContent = total > 0
+        ? `${progress.status} · ${formatBytes(completed)} / ${formatBytes(total)}`
+        : progress.status;
+    });
+    bar.style.width = '100%';
+    bar.textContent = '100%';
+    text.textContent = `✅ Pulled ${model}`;
+    input.value = '';
+    await refreshModels();
+  } catch (error) {
+    text.textContent = error.message === 'Cancelled'
+      ? '⏹️ Cancelled — pulling again resumes the download'
+      : `❌ ${error.message}`;
+  } finally {
+    pullJobId = null;
+    button.disabled = false;
+    document.getElementById('cancel-pull-btn').style.display = 'none';
+  }
+}
+
+async function copyModel() {
+  const endpointId = document.getElementById('detail-endpoint-select').value;
+  const destination = document.getElementById('copy-model-name').value.trim();
+  if (!destination) {
+    alert('⚠️ No Model Name\n\nEnter a name for the copy, e.g. my-llama:latest');
+    return;
+  }
+
+  try {
+    await window.electronAPI.copyModel({ endpointId, source: selectedModel, destination });
+    document.getElementById('copy-model-name').value = '';
+    await refreshModels();
+    await selectModel(destination);
+  } catch (error) {
+    console.error('[ERROR] Failed to copy model:', error);
+    alert(`⚠️ Copy Failed\n\n${error.message}`);
+  }
+}
+
+async function deleteModel() {
+  const select = document.getElementById('detail-endpoint-select');
+  const endpointName = select.options[select.selectedIndex]?.textContent;
+  if (!select.value) return;
+  if (!confirm(`Are you sure you want to delete "${selectedModel}" from ${endpointName}?\n\nThe model files are removed from that endpoint and have to be pulled again to use it there.`)) {
+    return;
+  }
+
+  try {
+    await window.electronAPI.deleteModel({ endpointId: select.value, model: selectedModel });
+    await refreshModels();
+  } catch (error) {
+    console.error('[ERROR] Failed to delete model:', error);
+    alert(`⚠️ Delete Failed\n\n${error.message}`);
+  }
+}
+
+// Start a Modelfile that builds on the selected model
+function useAsBase() {
+  document.getElementById('modelfile-editor').value = createModelfileDraft(selectedModel, selectedDetails || {});
+  validateModelfile();
+  const nameInput = document.getElementById('create-model-name');
+  nameInput.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  nameInput.focus();
+}
+
+// Show the errors of the Modelfile while it is edited
+function validateModelfile() {
+  const text = document.getElementById('modelfile-editor').value;
+  const { errors } = text.trim() ? parseModelfile(text) : { errors: [] };
+  document.getElementById('modelfile-errors').textContent = errors.map(error => `⚠️ ${error}`).join('\n');
+  return errors;
+}
+
+async function createModel() {
+  const model = document.getElementById('create-model-name').value.trim();
+  const modelfile = document.getElementById('modelfile-editor').value;
+  const endpointId = document.getElementById('endpoint-select').value;
+  if (!model) {
+    alert('⚠️ No Model Name\n\nEnter a name for the new model, e.g. reviewer');
+    return;
+  }
+  if (!modelfile.trim()) {
+    alert('⚠️ Empty Modelfile\n\nWrite a Modelfile, or select a model and click "New model from this one".');
+    return;
+  }
+  const errors = validateModelfile();
+  if (errors.length > 0) {
+    alert(`⚠️ Invalid Modelfile\n\n${errors.join('\n')}`);
+    return;
+  }
+  if (models.some(item => item.name === model || item.name === `${model}:latest`) &&
+      !confirm(`A model named "${model}" already exists.\n\nReplace it on the selected endpoint?`)) {
+    return;
+  }
+
+  const button = document.getElementById('create-model-btn');
+  const text = document.getElementById('create-progress-text');
+  button.disabled = true;
+  text.textContent = `Creating ${model}...`;
+  showProgress('create', true);
+
+  createJobId = crypto.randomUUID();
+  try {
+    await window.electronAPI.createModel({ jobId: createJobId, endpointId, model, modelfile }, progress => {
+      text.textContent = progress.status;
+    });
+    text.textContent = `✅ Created ${model}`;
+    await refreshModels();
+    const created = models.find(item => item.name === model || item.name === `${model}:latest`);
+    if (created) await selectModel(created.name);
+  } catch (error) {
+    text.textContent = error.message === 'Cancelled' ? '⏹️ Cancelled' : `❌ ${error.message}`;
+  } finally {
+    createJobId = null;
+    button.disabled = false;
+    document.getElementById('cancel-create-btn').style.display = 'none';
+  }
+}
+
+window.addEventListener('DOMContentLoaded', async () => {
+  console.log('[DEBUG] Manage Models window loaded');
+
+  document.getElementById('endpoint-select').addEventListener('change', showEndpointStatus);
+  document.getElementById('refresh-models-btn').addEventListener('click', refreshModels);
+  document.getElementById('pull-btn').addEventListener('click', pullModel);
+  document.getElementById('pull-model-name').addEventListener('keydown', event => {
+    if (event.key === 'Enter' && !pullJobId) pullModel();
+  });
+  document.getElementById('cancel-pull-btn').addEventListener('click', () => {
+    if (pullJobId) window.electronAPI.cancelModelOperation(pullJobId);
+  });
+  document.getElementById('copy-model-btn').addEventListener('click', copyModel);
+  document.getElementById('delete-model-btn').addEventListener('click', deleteModel);
+  document.getElementById('use-as-base-btn').addEventListener('click', useAsBase);
+  document.getElementById('modelfile-editor').addEventListener('input', validateModelfile);
+  document.getElementById('create-model-btn').addEventListener('click', createModel);
+  document.getElementById('cancel-create-btn').addEventListener('click', () => {
+    if (createJobId) window.electronAPI.cancelModelOperation(createJobId);
+  });
+
+  await refreshModels();
+});
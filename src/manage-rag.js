@@ -44,12 +44,9 @@ async function getServerPort() {
 }
 
 // Update statistics in the left panel
-function updateStatistics(sources) {
+function updateStatistics(sources, progressList) {
   const totalDocs = sources.length;
-  const extractedDocs = sources.filter(item => {
-    const progress = window.electronAPI.getGraphRAGProgress(item.source);
-    return progress.percentage === 100;
-  }).length;
+  const extractedDocs = progressList.filter(progress => progress.percentage === 100).length;
 
   document.getElementById('stat-total-docs').textContent = totalDocs;
   document.getElementById('stat-extracted-docs').textContent = extractedDocs;
@@ -101,9 +98,12 @@ async function refreshDocumentList() {
 
   try {
     const sources = await window.electronAPI.getStoredSources();
+    const progressList = await Promise.all(
+      sources.map(item => window.electronAPI.getGraphRAGProgress(item.source))
+    );
 
     // Update statistics
-    updateStatistics(sources);
+    updateStatistics(sources, progressList);
 
     if (sources.length === 0) {
       documentList.innerHTML = `
@@ -118,9 +118,9 @@ async function refreshDocumentList() {
 
     documentList.innerHTML = '';
 
-    for (const item of sources) {
+    for (const [index, item] of sources.entries()) {
       const fileName = item.source.split('/').pop();
-      const progress = window.electronAPI.getGraphRAGProgress(item.source);
+      const progress = progressList[index];
 
       const documentItem = document.createElement('div');
       documentItem.className = 'document-item';
@@ -158,6 +158,9 @@ async function refreshDocumentList() {
           </div>
         </div>
         <div class="document-actions">
+          <button class="btn btn-small btn-view" data-source="${item.source}">
+            📄 View
+          </button>
           <button class="btn btn-small btn-extract" data-source="${item.source}" ${buttonDisabled ? 'disabled' : ''}>
             ${buttonText}
           </button>
@@ -200,6 +203,18 @@ async function refreshDocumentList() {
       });
     });
 
+    // Add event listeners for view buttons
+    document.querySelectorAll('.btn-view').forEach(btn => {
+      btn.addEventListener('click', async (e) => {
+        const source = e.currentTarget.dataset.source;
+        try {
+          await window.electronAPI.openDocumentViewer({ source });
+        } catch (error) {
+          alert(`Failed to open document: ${error.message}`);
+        }
+      });
+    });
+
     // Add event listeners for delete buttons
     document.querySelectorAll('.btn-delete').forEach(btn => {
       btn.addEventListener('click', async (e) => {
@@ -334,7 +349,7 @@ async function extractGraphRAG(source, isBatchMode = false) {
     }
 
     // データベースから実際の進捗を確認（デバッグ用）
-    const actualProgress = window.electronAPI.getGraphRAGProgress(source);
+    const actualProgress = await window.electronAPI.getGraphRAGProgress(source);
     console.log('[GraphRAG] Extraction result:', result);
     console.log('[GraphRAG] Actual database progress:', actualProgress);
 
@@ -424,7 +439,7 @@ async function uploadDocuments(files) {
     loadingIndicator.classList.remove('hidden');
 
     // Get current embedding model
-    const currentEmbedModel = window.electronAPI.getCurrentEmbedderModel();
+    const currentEmbedModel = await window.electronAPI.getCurrentEmbedderModel();
     console.log('[DEBUG] Current embedding model:', currentEmbedModel);
 
     // Check if embedding model exists
@@ -513,10 +528,10 @@ async function extractAllUnprocessed() {
     const sources = await window.electronAPI.getStoredSources();
 
     // Filter unprocessed documents
-    const unprocessedDocs = sources.filter(item => {
-      const progress = window.electronAPI.getGraphRAGProgress(item.source);
-      return progress.percentage < 100;
-    });
+    const progressList = await Promise.all(
+      sources.map(item => window.electronAPI.getGraphRAGProgress(item.source))
+    );
+    const unprocessedDocs = sources.filter((item, index) => progressList[index].percentage < 100);
 
     if (unprocessedDocs.length === 0) {
       alert('All documents are already fully extracted!');
@@ -634,7 +649,7 @@ window.addEventListener('DOMContentLoaded', async () => {
   }
 
   // Display current embedding model
-  const currentEmbedModel = window.electronAPI.getCurrentEmbedderModel();
+  const currentEmbedModel = await window.electronAPI.getCurrentEmbedderModel();
   document.getElementById('current-embed-model').textContent = currentEmbedModel;
 
   // Listen for embedding model changes
@@ -672,6 +687,25 @@ window.addEventListener('DOMContentLoaded', async () => {
   // Refresh document list
   await refreshDocumentList();
 
+  // REST API: show the base URL and copy the token for scripts
+  const port = await getServerPort();
+  document.getElementById('api-base-url').textContent = port ? `http://localhost:${port}` : 'Server not running';
+  const copyTokenBtn = document.getElementById('copy-api-token-btn');
+  copyTokenBtn.addEventListener('click', async () => {
+    try {
+      const token = await window.electronAPI.getApiToken();
+      if (!token) {
+        throw new Error('Server not available');
+      }
+      await navigator.clipboard.writeText(token);
+      copyTokenBtn.textContent = '✓ Copied';
+      setTimeout(() => { copyTokenBtn.textContent = '🔑 Copy API Token'; }, 1500);
+    } catch (error) {
+      console.error('[ERROR] Failed to copy API token:', error);
+      alert(`⚠️ Failed to Copy API Token\n\n${error.message}`);
+    }
+  });
+
   // Upload button click handler - use Electron's native file dialog
   document.getElementById('upload-btn').addEventListener('click', async () => {
     try {
@@ -0,0 +1,323 @@
+/**
+ * Model Manager
+ *
+ * Pull, delete, copy, inspect and create models on the Ollama endpoints
+ * (/api/pull, /api/delete, /api/copy, /api/show, /api/create). Used by the
+ * model manager window through IPC (see main.js). Pulls and creates report
+ * Ollama's streamed progress and can be cancelled.
+ */
+
+const {
+  getOllamaConnection,
+  ollamaUrl,
+  ollamaHeaders,
+  isEndpointUnavailable,
+  markEndpointOffline,
+  checkOllamaHealth,
+  getOllamaHealth,
+  ollamaFetch,
+  listOllamaModels
+} = require('./ollama-connection');
+const { parseModelfile } = require('./modelfile');
+
+// [host/][namespace/]name[:tag]（例: llama3.2, library/llama3.2:3b, hf.co/user/repo:Q4_K_M）
+const MODEL_NAME_PATTERN = /^[A-Za-z0-9][\w.-]*(\/[\w.-]+)*(:[\w.-]+)?$/;
+const MAX_MODEL_NAME_LENGTH = 350;
+
+// jobId → AbortController（実行中のpull/create）
+const operations = new Map();
+
+function validateModelName(name, label = 'Model name') {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new Error(`${label} is required`);
+  }
+  if (name.length > MAX_MODEL_NAME_LENGTH || !MODEL_NAME_PATTERN.test(name.trim())) {
+    throw new Error(`${label} "${name}" is not a valid model name (e.g. llama3.2 or llama3.2:3b)`);
+  }
+  return name.trim();
+}
+
+function findEndpoint(endpointId) {
+  const endpoint = getOllamaConnection().endpoints.find(item => item.id === endpointId);
+  if (!endpoint) {
+    throw new Error(`Unknown Ollama endpoint: ${endpointId}`);
+  }
+  return endpoint;
+}
+
+/**
+ * Send a request to one endpoint
+ * @param {Object} endpoint - Endpoint
+ * @param {string} pathname - e.g. '/api/pull'
+ * @param {Object} options - { method, body, signal }
+ * @returns {Promise<Response>} Response (status 2xx)
+ */
+async function requestEndpoint(endpoint, pathname, { method = 'POST', body, signal } = {}) {
+  let response;
+  try {
+    response = await fetch(ollamaUrl(pathname, endpoint), {
+      method,
+      headers: { ...ollamaHeaders(endpoint), 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (error) {
+    if (signal?.aborted) throw error;
+    if (isEndpointUnavailable(error)) markEndpointOffline(endpoint, error);
+    throw new Error(`Could not connect to ${endpoint.name} (${endpoint.baseUrl}): ${error.cause?.message || error.message}`);
+  }
+  if (!response.ok) {
+    throw new Error(`${endpoint.name}: ${await readErrorMessage(response)}`);
+  }
+  return response;
+}
+
+// Ollamaのエラーは {"error": "..."} で返る
+async function readErrorMessage(response) {
+  const text = await response.text();
+  try {
+    return JSON.parse(text).error || text;
+  } catch (error) {
+    return text || `HTTP ${response.status}`;
+  }
+}
+
+/**
+ * Read the NDJSON progress stream of /api/pull or /api/create
+ * @param {Response} response - Streaming response
+ * @param {Function} onProgress - Called with { status, digest, total, completed }
+ */
+async function readProgress(response, onProgress) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let lastStatus = null;
+
+  const handleLine = line => {
+    if (!line.trim()) return;
+    const json = JSON.parse(line);
+    if (json.error) throw new Error(json.error);
+    lastStatus = json.status;
+    onProgress({
+      status: json.status,
+      digest: json.digest ?? null,
+      total: json.total ?? null,
+      completed: json.completed ?? null
+    });
+  };
+
+  // TCPチャンクの境界で行が分割されるため、改行までバッファしてからパースする
+  for await (const chunk of response.body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(handleLine);
+  }
+  handleLine(buffer + decoder.decode());
+
+  if (lastStatus !== 'success') {
+    throw new Error(`Ollama ended the stream without success (last status: ${lastStatus || 'none'})`);
+  }
+}
+
+// Run a cancellable operation; cancelModelOperation(jobId) aborts it
+async function runOperation(jobId, run) {
+  if (operations.has(jobId)) {
+    throw new Error(`Operation ${jobId} is already running`);
+  }
+  const controller = new AbortController();
+  operations.set(jobId, controller);
+  try {
+    return await run(controller.signal);
+  } catch (error) {
+    if (controller.signal.aborted) throw new Error('Cancelled');
+    throw error;
+  } finally {
+    operations.delete(jobId);
+  }
+}
+
+// 変更後にモデル一覧を更新する（モデルのルーティングにも使われる）
+async function refreshModelLists() {
+  await checkOllamaHealth().catch(() => {});
+}
+
+/**
+ * Endpoints and the models installed on them
+ * @returns {Promise<Object>} { endpoints: getOllamaHealth(), models: [{ name, size, modifiedAt, family, parameterSize, quantization, endpoints }] }
+ */
+async function listManagedModels() {
+  let models = [];
+  try {
+    models = await listOllamaModels();
+  } catch (error) {
+    // すべてのエンドポイントがオフライン（状態はendpointsで表示する）
+    console.warn('[WARN] listManagedModels:', error.message);
+  }
+
+  return {
+    endpoints: getOllamaHealth(),
+    models: models.map(model => ({
+      name: model.name,
+      size: model.size ?? null,
+      modifiedAt: model.modified_at ?? null,
+      family: model.details?.family ?? null,
+      parameterSize: model.details?.parameter_size ?? null,
+      quantization: model.details?.quantization_level ?? null,
+      endpoints: model.endpoints
+    }))
+  };
+}
+
+// "num_ctx    8192\nstop   "<|eot_id|>"" → [{ name, value }]
+function parseShownParameters(text = '') {
+  return text.split('\n')
+    .map(line => /^(\S+)\s+(.*)$/.exec(line.trim()))
+    .filter(Boolean)
+    .map(([, name, value]) => ({ name, value }));
+}
+
+/**
+ * Details of a model (/api/show)
+ * @param {string} model - Model name
+ * @returns {Promise<Object>} { model, family, families, parameterSize, quantization, format, contextLength,
+ *   embeddingLength, capabilities, parameters: [{ name, value }], template, system, license, modifiedAt }
+ */
+async function showModel(model) {
+  const name = validateModelName(model);
+  const response = await ollamaFetch('/api/show', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ model: name })
+  }, name);
+  if (!response.ok) {
+    throw new Error(await readErrorMessage(response));
+  }
+  const data = await response.json();
+
+  const modelInfo = data.model_info || {};
+  const findInfo = suffix => {
+    const key = Object.keys(modelInfo).find(item => item.endsWith(suffix));
+    return key ? modelInfo[key] : null;
+  };
+
+  // capabilitiesを返さない古いOllamaでは、/model-capabilities と同じくプロジェクタの有無でvisionを判定する
+  let capabilities = data.capabilities;
+  if (!Array.isArray(capabilities)) {
+    const hasVision = !!data.projector_info || Object.keys(modelInfo).some(key => key.includes('.vision.'));
+    capabilities = hasVision ? ['completion', 'vision'] : ['completion'];
+  }
+
+  return {
+    model: name,
+    family: data.details?.family ?? null,
+    families: data.details?.families ?? [],
+    parameterSize: data.details?.parameter_size ?? null,
+    quantization: data.details?.quantization_level ?? null,
+    format: data.details?.format ?? null,
+    contextLength: findInfo('.context_length'),
+    embeddingLength: findInfo('.embedding_length'),
+    capabilities,
+    parameters: parseShownParameters(data.parameters),
+    template: data.template || '',
+    system: data.system || '',
+    license: Array.isArray(data.license) ? data.license.join('\n\n') : (data.license || ''),
+    modifiedAt: data.modified_at ?? null
+  };
+}
+
+/**
+ * Download a model to an endpoint (/api/pull)
+ * @param {Object} options - { jobId, endpointId, model }
+ * @param {Function} onProgress - Called with { status, digest, total, completed }
+ * @returns {Promise<Object>} { model, endpoint }
+ */
+async function pullModel({ jobId, endpointId, model }, onProgress = () => {}) {
+  const endpoint = findEndpoint(endpointId);
+  const name = validateModelName(model);
+
+  await runOperation(jobId, async signal => {
+    const response = await requestEndpoint(endpoint, '/api/pull', { body: { model: name, stream: true }, signal });
+    await readProgress(response, onProgress);
+  });
+
+  console.log(`[INFO] Pulled ${name} to ${endpoint.name}`);
+  await refreshModelLists();
+  return { model: name, endpoint: endpoint.name };
+}
+
+/**
+ * Create a model from a Modelfile (/api/create)
+ * @param {Object} options - { jobId, endpointId, model, modelfile }
+ * @param {Function} onProgress - Called with { status, digest, total, completed }
+ * @returns {Promise<Object>} { model, endpoint }
+ */
+async function createModel({ jobId, endpointId, model, modelfile }, onProgress = () => {}) {
+  const endpoint = findEndpoint(endpointId);
+  const name = validateModelName(model);
+  const { request, errors } = parseModelfile(modelfile);
+  if (errors.length > 0) {
+    throw new Error(`Invalid Modelfile:\n${errors.join('\n')}`);
+  }
+
+  await runOperation(jobId, async signal => {
+    const response = await requestEndpoint(endpoint, '/api/create', { body: { model: name, ...request, stream: true }, signal });
+    await readProgress(response, onProgress);
+  });
+
+  console.log(`[INFO] Created ${name} from ${request.from} on ${endpoint.name}`);
+  await refreshModelLists();
+  return { model: name, endpoint: endpoint.name };
+}
+
+/**
+ * Cancel a running pull or create
+ * Layers that were already downloaded stay on the endpoint, so pulling again resumes.
+ * @param {string} jobId - jobId passed to pullModel() or createModel()
+ * @returns {boolean} Whether an operation was running
+ */
+function cancelModelOperation(jobId) {
+  const controller = operations.get(jobId);
+  controller?.abort();
+  return !!controller;
+}
+
+/**
+ * Delete a model from an endpoint (/api/delete)
+ * @param {Object} options - { endpointId, model }
+ * @returns {Promise<Object>} { model, endpoint }
+ */
+async function deleteModel({ endpointId, model }) {
+  const endpoint = findEndpoint(endpointId);
+  const name = validateModelName(model);
+  await requestEndpoint(endpoint, '/api/delete', { method: 'DELETE', body: { model: name } });
+
+  console.log(`[INFO] Deleted ${name} from ${endpoint.name}`);
+  await refreshModelLists();
+  return { model: name, endpoint: endpoint.name };
+}
+
+/**
+ * Copy a model under a new name on an endpoint (/api/copy)
+ * @param {Object} options - { endpointId, source, destination }
+ * @returns {Promise<Object>} { model, endpoint }
+ */
+async function copyModel({ endpointId, source, destination }) {
+  const endpoint = findEndpoint(endpointId);
+  const sourceName = validateModelName(source, 'Source model');
+  const destinationName = validateModelName(destination, 'New name');
+  await requestEndpoint(endpoint, '/api/copy', { body: { source: sourceName, destination: destinationName } });
+
+  console.log(`[INFO] Copied ${sourceName} to ${destinationName} on ${endpoint.name}`);
+  await refreshModelLists();
+  return { model: destinationName, endpoint: endpoint.name };
+}
+
+module.exports = {
+  listManagedModels,
+  showModel,
+  pullModel,
+  createModel,
+  cancelModelOperation,
+  deleteModel,
+  copyModel
+};
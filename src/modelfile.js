@@ -0,0 +1,214 @@
+/**
+ * Modelfile
+ *
+ * Parser for the Modelfile editor of the model manager. Ollama's /api/create
+ * takes the instructions of a Modelfile as JSON fields (from, system,
+ * template, parameters, license, messages), so the text is converted here.
+ * See https://github.com/ollama/ollama/blob/main/docs/modelfile.md
+ */
+
+const { OPTION_SPECS, validateOption } = require('./ollama-options');
+
+const INSTRUCTIONS = ['FROM', 'PARAMETER', 'TEMPLATE', 'SYSTEM', 'ADAPTER', 'LICENSE', 'MESSAGE'];
+
+const MESSAGE_ROLES = ['system', 'user', 'assistant'];
+
+// GGUFファイルやSafetensorsのディレクトリから作るにはファイルのアップロード（/api/blobs）が必要
+const LOCAL_PATH_PATTERN = /^(\.{0,2}\/|~|[A-Za-z]:[\\/])|\.(gguf|bin|safetensors)$/i;
+
+const TRIPLE_QUOTE = '"""';
+
+// """...""" または "..." で囲まれた値から引用符を外す
+// "..." の中では \" \\ \n をエスケープとして扱う
+function unquote(value) {
+  const trimmed = value.trim();
+  if (trimmed.length >= 6 && trimmed.startsWith(TRIPLE_QUOTE) && trimmed.endsWith(TRIPLE_QUOTE)) {
+    return trimmed.slice(3, -3).replace(/^\n/, '').replace(/\n$/, '');
+  }
+  if (trimmed.length >= 2 && trimmed.startsWith('"') && trimmed.endsWith('"')) {
+    return trimmed.slice(1, -1).replace(/\\(["\\n])/g, (match, char) => (char === 'n' ? '\n' : char));
+  }
+  return trimmed;
+}
+
+// "name value" → ["name", "value"]
+function splitFirstWord(args) {
+  const match = /^(\S+)\s*([\s\S]*)$/.exec(args.trim());
+  return match ? [match[1], match[2]] : ['', ''];
+}
+
+/**
+ * Split a Modelfile into instructions
+ * Values in """ may span several lines; lines starting with # are comments.
+ * @param {string} text - Modelfile
+ * @returns {{instructions: Array<{keyword: string, args: string, line: number}>, errors: Array<string>}}
+ */
+function splitInstructions(text) {
+  const instructions = [];
+  const errors = [];
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index].trim();
+    if (!line || line.startsWith('#')) continue;
+
+    const lineNumber = index + 1;
+    const [word, rest] = splitFirstWord(line);
+    const keyword = word.toUpperCase();
+    let args = rest;
+
+    // 閉じる """ が来るまで次の行を値に含める
+    while (args.split(TRIPLE_QUOTE).length % 2 === 0 && index + 1 < lines.length) {
+      index++;
+      args += `\n${lines[index]}`;
+    }
+    if (args.split(TRIPLE_QUOTE).length % 2 === 0) {
+      errors.push(`Line ${lineNumber}: ${TRIPLE_QUOTE} is not closed`);
+      continue;
+    }
+
+    if (!INSTRUCTIONS.includes(keyword)) {
+      errors.push(`Line ${lineNumber}: unknown instruction "${word}" (expected one of ${INSTRUCTIONS.join(', ')})`);
+      continue;
+    }
+    if (!args.trim()) {
+      errors.push(`Line ${lineNumber}: ${keyword} needs a value`);
+      continue;
+    }
+    instructions.push({ keyword, args, line: lineNumber });
+  }
+
+  return { instructions, errors };
+}
+
+/**
+ * Convert the value of a PARAMETER instruction
+ * Known options (see ollama-options.js) are checked against their range;
+ * other parameters are passed on as numbers, booleans or strings.
+ * @param {string} name - Parameter name
+ * @param {string} raw - Value as written in the Modelfile
+ * @returns {{value: *, error: (string|null)}}
+ */
+function parseParameterValue(name, raw) {
+  const text = unquote(raw);
+  const spec = OPTION_SPECS[name];
+
+  if (spec?.type === 'stringArray') {
+    return { value: text, error: text ? null : `${name} must not be empty` };
+  }
+  if (spec) {
+    const value = text === '' ? NaN : Number(text);
+    return { value, error: validateOption(name, value, spec) };
+  }
+
+  if (text === 'true' || text === 'false') return { value: text === 'true', error: null };
+  if (text !== '' && Number.isFinite(Number(text))) return { value: Number(text), error: null };
+  return { value: text, error: null };
+}
+
+/**
+ * Parse a Modelfile into the fields of Ollama's /api/create
+ * FROM must name an installed model; ADAPTER and FROM with a local file
+ * need a file upload and are not supported (use "ollama create" for those).
+ * @param {string} text - Modelfile
+ * @returns {{request: Object, errors: Array<string>}} { from, system, template, license, parameters, messages }, and the errors
+ */
+function parseModelfile(text = '') {
+  const { instructions, errors } = splitInstructions(text);
+  const request = {};
+  const parameters = {};
+  const licenses = [];
+  const messages = [];
+
+  for (const { keyword, args, line } of instructions) {
+    if (keyword === 'FROM') {
+      const from = unquote(args);
+      if (request.from !== undefined) {
+        errors.push(`Line ${line}: FROM can only be used once`);
+      } else if (LOCAL_PATH_PATTERN.test(from)) {
+        errors.push(`Line ${line}: FROM a local file is not supported here; use the name of a model, or "ollama create" in a terminal`);
+      } else {
+        request.from = from;
+      }
+    } else if (keyword === 'PARAMETER') {
+      const [name, raw] = splitFirstWord(args);
+      const { value, error } = parseParameterValue(name, raw);
+      if (error) {
+        errors.push(`Line ${line}: ${error}`);
+      } else if (name === 'stop') {
+        // stop は複数回指定できる
+        parameters.stop = [...(parameters.stop || []), value];
+      } else {
+        parameters[name] = value;
+      }
+    } else if (keyword === 'TEMPLATE' || keyword === 'SYSTEM') {
+      request[keyword.toLowerCase()] = unquote(args);
+    } else if (keyword === 'LICENSE') {
+      licenses.push(unquote(args));
+    } else if (keyword === 'MESSAGE') {
+      const [role, content] = splitFirstWord(args);
+      if (!MESSAGE_ROLES.includes(role.toLowerCase())) {
+        errors.push(`Line ${line}: MESSAGE role must be one of ${MESSAGE_ROLES.join(', ')}`);
+      } else {
+        messages.push({ role: role.toLowerCase(), content: unquote(content) });
+      }
+    } else if (keyword === 'ADAPTER') {
+      errors.push(`Line ${line}: ADAPTER is not supported here; use "ollama create" in a terminal`);
+    }
+  }
+
+  if (!instructions.some(({ keyword }) => keyword === 'FROM')) {
+    errors.push('FROM is required (the model to build on, e.g. FROM llama3.2)');
+  }
+  if (parameters.stop) {
+    const error = validateOption('stop', parameters.stop, OPTION_SPECS.stop);
+    if (error) errors.push(error);
+  }
+
+  return {
+    request: {
+      ...request,
+      ...(licenses.length > 0 && { license: licenses.length === 1 ? licenses[0] : licenses }),
+      ...(Object.keys(parameters).length > 0 && { parameters }),
+      ...(messages.length > 0 && { messages })
+    },
+    errors
+  };
+}
+
+// SYSTEM 命令（""" を含む値は """ で囲めないため、\\ \" \n でエスケープした1行の "..." にする）
+function systemInstruction(text) {
+  if (!text.includes(TRIPLE_QUOTE)) {
+    return [`SYSTEM ${TRIPLE_QUOTE}`, text, TRIPLE_QUOTE];
+  }
+  const escaped = text.replace(/\r\n?/g, '\n').replace(/[\\"]/g, '\\$&').replace(/\n/g, '\\n');
+  return [
+    `# The prompt contains ${TRIPLE_QUOTE}, so it is written on one line (\\n is a line break, \\" a quote)`,
+    `SYSTEM "${escaped}"`
+  ];
+}
+
+/**
+ * Modelfile to start a new model from an existing one
+ * @param {string} model - Base model
+ * @param {Object} details - Result of showModel() (system prompt of the base model)
+ * @returns {string} Modelfile
+ */
+function createModelfileDraft(model, details = {}) {
+  return [
+    `FROM ${model}`,
+    '',
+    '# System prompt of the new model',
+    ...systemInstruction(details.system || 'You are a helpful assistant.'),
+    '',
+    '# Parameters, e.g.',
+    '# PARAMETER temperature 0.7',
+    '# PARAMETER num_ctx 8192',
+    ''
+  ].join('\n');
+}
+
+module.exports = {
+  parseModelfile,
+  createModelfileDraft
+};
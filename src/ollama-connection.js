@@ -0,0 +1,513 @@
+/**
+ * Ollama Connection
+ *
+ * The Ollama endpoints (e.g. a laptop and a workstation), each with a base
+ * URL, optional bearer token and custom headers. Every request to Ollama
+ * (chat in server.js; embeddings, query rewriting and GraphRAG extraction in
+ * rag-store.js) is routed to an endpoint that hosts the requested model.
+ * If an endpoint cannot be reached, the request fails over to the next one.
+ *
+ * Endpoints are tried in the configured order (the first one has the highest
+ * priority). A health check runs periodically and after every failure.
+ * The settings are stored in the vector-db directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { randomUUID } = require('crypto');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+// main.jsで設定される環境変数を使用（このモジュールを読み込む前に設定される）
+const VECTOR_DIR = process.env.VECTOR_DB_PATH || path.join(__dirname, '../vector-db');
+const CONNECTION_PATH = path.join(VECTOR_DIR, 'ollama-connection.json');
+
+// 接続テスト・ヘルスチェックの待ち時間（共有サーバーが落ちていてもUIを長く待たせない）
+const TEST_TIMEOUT_MS = 5000;
+
+// ヘルスチェックの間隔
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+
+// どのエンドポイントにもないモデルへのリクエストで、モデル一覧を再取得する最短間隔
+// （存在しないモデル名でリクエストされるたびに全エンドポイントへ問い合わせない）
+const ROUTING_REFRESH_INTERVAL_MS = 5000;
+
+const MAX_ENDPOINTS = 10;
+
+// RFC 7230 の token（ヘッダー名に使える文字）
+const HEADER_NAME_PATTERN = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+
+// Content-Type などはリクエストごとに設定されるため上書きさせない
+const RESERVED_HEADERS = ['content-type', 'content-length', 'host'];
+
+// 接続できなかった（＝別のエンドポイントで再試行する）とみなすエラー
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'EAI_AGAIN',
+  'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'
+];
+const FAILOVER_STATUS_CODES = [502, 503, 504];
+
+let connection = loadConnection();
+
+// endpoint id → { status: 'unknown'|'online'|'offline', version, models, error, latencyMs, checkedAt }
+const health = new Map();
+const healthListeners = [];
+let healthTimer = null;
+let lastHealthCheckAt = 0;
+
+/**
+ * Default connection: Ollama on this computer
+ * @returns {Object} { endpoints: [{ id, name, baseUrl, token, headers }] }
+ */
+function getDefaultOllamaConnection() {
+  return {
+    endpoints: [{ id: 'default', name: 'Local', baseUrl: DEFAULT_BASE_URL, token: '', headers: {} }]
+  };
+}
+
+/**
+ * Validate the settings of one endpoint
+ * @param {Object} settings - { id, name, baseUrl, token, headers } from the settings form
+ * @param {string} label - Prefix of the error messages
+ * @returns {{endpoint: Object, errors: Array<string>}} Normalized endpoint (no trailing slash), and the errors
+ */
+function validateOllamaEndpoint(settings = {}, label = 'Endpoint') {
+  const errors = [];
+  const result = {
+    id: typeof settings.id === 'string' && settings.id ? settings.id : randomUUID().slice(0, 8),
+    name: typeof settings.name === 'string' ? settings.name.trim() : '',
+    baseUrl: DEFAULT_BASE_URL,
+    token: '',
+    headers: {}
+  };
+
+  if (!result.name) {
+    errors.push(`${label}: name is required`);
+  }
+
+  const baseUrl = typeof settings.baseUrl === 'string' ? settings.baseUrl.trim() : '';
+  if (baseUrl) {
+    let url = null;
+    try {
+      url = new URL(baseUrl);
+    } catch (error) {
+      errors.push(`${label}: base URL "${baseUrl}" is not a valid URL`);
+    }
+    if (url && !['http:', 'https:'].includes(url.protocol)) {
+      errors.push(`${label}: base URL must start with http:// or https://`);
+    } else if (url && (url.search || url.hash || url.username || url.password)) {
+      errors.push(`${label}: base URL must not contain a query, fragment or credentials (use the token or headers instead)`);
+    } else if (url) {
+      // リバースプロキシ配下（https://host/ollama）のパスは残す
+      result.baseUrl = `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+    }
+  }
+
+  const token = typeof settings.token === 'string' ? settings.token.trim() : '';
+  if (/\s/.test(token)) {
+    errors.push(`${label}: token must not contain whitespace`);
+  } else {
+    result.token = token;
+  }
+
+  const headers = settings.headers ?? {};
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    errors.push(`${label}: headers must be an object of header names and values`);
+  } else {
+    for (const [name, value] of Object.entries(headers)) {
+      if (!HEADER_NAME_PATTERN.test(name)) {
+        errors.push(`${label}: "${name}" is not a valid header name`);
+      } else if (RESERVED_HEADERS.includes(name.toLowerCase())) {
+        errors.push(`${label}: the ${name} header cannot be overridden`);
+      } else if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+        errors.push(`${label}: value of header "${name}" must be a single-line string`);
+      } else {
+        result.headers[name] = value.trim();
+      }
+    }
+  }
+
+  return { endpoint: result, errors };
+}
+
+/**
+ * Validate the connection settings (all endpoints)
+ * @param {Object} settings - { endpoints: [...] }
+ * @returns {{connection: Object, errors: Array<string>}}
+ */
+function validateOllamaConnection(settings = {}) {
+  const errors = [];
+  const endpoints = Array.isArray(settings?.endpoints) ? settings.endpoints : null;
+
+  if (!endpoints || endpoints.length === 0) {
+    return { connection: getDefaultOllamaConnection(), errors: ['At least one endpoint is required'] };
+  }
+  if (endpoints.length > MAX_ENDPOINTS) {
+    errors.push(`At most ${MAX_ENDPOINTS} endpoints are supported`);
+  }
+
+  const result = endpoints.map((endpoint, index) => {
+    const validated = validateOllamaEndpoint(endpoint, `Endpoint ${index + 1}`);
+    errors.push(...validated.errors);
+    return validated.endpoint;
+  });
+
+  // モデル一覧ではエンドポイントを名前で表示するため、重複させない
+  const names = result.map(endpoint => endpoint.name.toLowerCase());
+  if (new Set(names).size !== names.length) {
+    errors.push('Endpoint names must be unique');
+  }
+  const ids = result.map(endpoint => endpoint.id);
+  if (new Set(ids).size !== ids.length) {
+    errors.push('Endpoint IDs must be unique');
+  }
+
+  return { connection: { endpoints: result }, errors };
+}
+
+function loadConnection() {
+  try {
+    if (fs.existsSync(CONNECTION_PATH)) {
+      let saved = JSON.parse(fs.readFileSync(CONNECTION_PATH, 'utf-8'));
+      // 1つの接続先だけを保存していた旧形式 { baseUrl, token, headers }
+      if (!Array.isArray(saved.endpoints)) {
+        saved = { endpoints: [{ id: 'default', name: 'Default', ...saved }] };
+      }
+      const { connection: loaded, errors } = validateOllamaConnection(saved);
+      if (errors.length > 0) {
+        console.warn(`[WARN] Ignoring invalid Ollama connection settings: ${errors.join('; ')}`);
+        return getDefaultOllamaConnection();
+      }
+      return loaded;
+    }
+  } catch (error) {
+    console.error('[ERROR] Failed to load Ollama connection settings:', error);
+  }
+  return getDefaultOllamaConnection();
+}
+
+/**
+ * Current connection settings
+ * @returns {Object} { endpoints: [{ id, name, baseUrl, token, headers }] }
+ */
+function getOllamaConnection() {
+  return {
+    endpoints: connection.endpoints.map(endpoint => ({ ...endpoint, headers: { ...endpoint.headers } }))
+  };
+}
+
+/**
+ * Validate, save and apply new connection settings, then check the endpoints
+ * @param {Object} settings - { endpoints: [...] }
+ * @returns {{success: boolean, errors: Array<string>, connection: Object}}
+ */
+function setOllamaConnection(settings) {
+  const { connection: validated, errors } = validateOllamaConnection(settings);
+  if (errors.length > 0) {
+    return { success: false, errors, connection: getOllamaConnection() };
+  }
+
+  connection = validated;
+  fs.mkdirSync(VECTOR_DIR, { recursive: true });
+  // トークンを含むため、所有者だけが読めるようにする
+  fs.writeFileSync(CONNECTION_PATH, JSON.stringify(connection, null, 2), { encoding: 'utf-8', mode: 0o600 });
+  console.log(`[INFO] Ollama endpoints: ${connection.endpoints.map(endpoint => `${endpoint.name} (${endpoint.baseUrl})`).join(', ')}`);
+
+  // 削除されたエンドポイントの状態を消す
+  const ids = new Set(connection.endpoints.map(endpoint => endpoint.id));
+  [...health.keys()].filter(id => !ids.has(id)).forEach(id => health.delete(id));
+  checkOllamaHealth().catch(() => {});
+
+  return { success: true, errors: [], connection: getOllamaConnection() };
+}
+
+/**
+ * Full URL of an Ollama API path
+ * @param {string} pathname - e.g. '/api/chat'
+ * @param {Object} endpoint - Endpoint to send the request to
+ * @returns {string} URL
+ */
+function ollamaUrl(pathname, endpoint) {
+  return `${endpoint.baseUrl}${pathname}`;
+}
+
+/**
+ * Headers to send with every request to an endpoint (custom headers and the bearer token)
+ * @param {Object} endpoint - Endpoint to send the request to
+ * @returns {Object} Header names and values
+ */
+function ollamaHeaders(endpoint) {
+  return {
+    ...endpoint.headers,
+    ...(endpoint.token && { Authorization: `Bearer ${endpoint.token}` })
+  };
+}
+
+// ==========================================
+// Health
+// ==========================================
+
+function setHealth(endpoint, state) {
+  const previous = health.get(endpoint.id);
+  const next = { ...previous, ...state, checkedAt: new Date().toISOString() };
+  health.set(endpoint.id, next);
+  if (previous?.status !== next.status) {
+    console.log(`[INFO] Ollama endpoint ${endpoint.name} is ${next.status}${next.error ? `: ${next.error}` : ''}`);
+    healthListeners.forEach(listener => listener(getOllamaHealth()));
+  }
+}
+
+function describeError(error) {
+  if (error.name === 'TimeoutError') return `no answer within ${TEST_TIMEOUT_MS / 1000}s`;
+  return error.cause?.message || error.message;
+}
+
+/**
+ * Whether a request failed because the endpoint is unreachable or overloaded
+ * (the request is then retried on the next endpoint). Errors such as an
+ * unknown model or invalid parameters are not retried.
+ * @param {Error} error - Error from fetch(), axios or http.request()
+ * @returns {boolean}
+ */
+function isEndpointUnavailable(error) {
+  const status = error.response?.status ?? error.status;
+  if (status) return FAILOVER_STATUS_CODES.includes(status);
+  const code = error.code || error.cause?.code;
+  return NETWORK_ERROR_CODES.includes(code) ||
+    error.name === 'TimeoutError' ||
+    (error instanceof TypeError && error.message === 'fetch failed');
+}
+
+/**
+ * Mark an endpoint as offline after a failed request
+ * @param {Object} endpoint - Endpoint
+ * @param {Error} error - Error of the request
+ */
+function markEndpointOffline(endpoint, error) {
+  setHealth(endpoint, { status: 'offline', error: describeError(error) });
+}
+
+/**
+ * Request /api/version and /api/tags of one endpoint
+ * @param {Object} endpoint - Endpoint (validated)
+ * @returns {Promise<{version: string, models: Array<Object>, latencyMs: number}>}
+ */
+async function probeEndpoint(endpoint) {
+  const startedAt = Date.now();
+  const request = async pathname => {
+    const response = await fetch(ollamaUrl(pathname, endpoint), {
+      headers: ollamaHeaders(endpoint),
+      signal: AbortSignal.timeout(TEST_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      const hint = response.status === 401 || response.status === 403 ? ' (check the token and headers)' : '';
+      throw Object.assign(new Error(`HTTP ${response.status} from ${endpoint.baseUrl}${hint}`), { status: response.status });
+    }
+    return response.json();
+  };
+
+  const { version } = await request('/api/version');
+  const { models = [] } = await request('/api/tags');
+  return { version, models, latencyMs: Date.now() - startedAt };
+}
+
+/**
+ * Check all endpoints and update their health and model lists
+ * @returns {Promise<Array<Object>>} Health of each endpoint (see getOllamaHealth())
+ */
+async function checkOllamaHealth() {
+  lastHealthCheckAt = Date.now();
+  await Promise.all(connection.endpoints.map(async endpoint => {
+    try {
+      const { version, models, latencyMs } = await probeEndpoint(endpoint);
+      setHealth(endpoint, { status: 'online', version, models, latencyMs, error: null });
+    } catch (error) {
+      setHealth(endpoint, { status: 'offline', error: describeError(error) });
+    }
+  }));
+  return getOllamaHealth();
+}
+
+/**
+ * Health of each endpoint, in the configured order
+ * @returns {Array<Object>} [{ id, name, baseUrl, status, version, modelCount, latencyMs, error, checkedAt }]
+ */
+function getOllamaHealth() {
+  return connection.endpoints.map(endpoint => {
+    const state = health.get(endpoint.id) || { status: 'unknown' };
+    return {
+      id: endpoint.id,
+      name: endpoint.name,
+      baseUrl: endpoint.baseUrl,
+      status: state.status,
+      version: state.version ?? null,
+      modelCount: state.models?.length ?? null,
+      latencyMs: state.latencyMs ?? null,
+      error: state.error ?? null,
+      checkedAt: state.checkedAt ?? null
+    };
+  });
+}
+
+/**
+ * Register a function that is called when an endpoint goes online or offline
+ * @param {Function} listener - Called with getOllamaHealth()
+ */
+function onOllamaHealthChange(listener) {
+  healthListeners.push(listener);
+}
+
+// Check the endpoints now and then periodically
+function startOllamaHealthChecks() {
+  if (healthTimer) return;
+  checkOllamaHealth().catch(() => {});
+  healthTimer = setInterval(() => checkOllamaHealth().catch(() => {}), HEALTH_CHECK_INTERVAL_MS);
+  healthTimer.unref?.();
+}
+
+// ==========================================
+// Routing
+// ==========================================
+
+function hostsModel(endpoint, model) {
+  return (health.get(endpoint.id)?.models || []).some(item => item.name === model || item.name === `${model}:latest`);
+}
+
+/**
+ * Endpoints to try for a model, best first
+ * Endpoints that host the model come first (online before offline, then in
+ * the configured order). If no endpoint is known to host it (e.g. the model
+ * was just pulled), the model lists are refreshed unless they were checked
+ * in the last few seconds, and otherwise all endpoints are tried so that
+ * Ollama can report the error.
+ * @param {string|null} model - Model name (null: any endpoint, e.g. for /api/tags)
+ * @returns {Promise<Array<Object>>} Endpoints
+ */
+async function getEndpointsForModel(model) {
+  const byHealth = endpoints => [
+    ...endpoints.filter(endpoint => health.get(endpoint.id)?.status !== 'offline'),
+    ...endpoints.filter(endpoint => health.get(endpoint.id)?.status === 'offline')
+  ];
+
+  if (!model) return byHealth(connection.endpoints);
+
+  let hosting = connection.endpoints.filter(endpoint => hostsModel(endpoint, model));
+  if (hosting.length === 0 && Date.now() - lastHealthCheckAt >= ROUTING_REFRESH_INTERVAL_MS) {
+    await checkOllamaHealth();
+    hosting = connection.endpoints.filter(endpoint => hostsModel(endpoint, model));
+  }
+  return byHealth(hosting.length > 0 ? hosting : connection.endpoints);
+}
+
+/**
+ * Send a request to the endpoints that host a model, failing over to the
+ * next one while an endpoint is unreachable
+ * @param {string|null} model - Model of the request
+ * @param {Function} send - async (endpoint) => result; throws on failure
+ * @returns {Promise<*>} Result of the first endpoint that answered
+ */
+async function requestOllama(model, send) {
+  const endpoints = await getEndpointsForModel(model);
+  let lastError = null;
+
+  for (const endpoint of endpoints) {
+    try {
+      const result = await send(endpoint);
+      if (health.get(endpoint.id)?.status !== 'online') {
+        setHealth(endpoint, { status: 'online', error: null });
+      }
+      return result;
+    } catch (error) {
+      if (!isEndpointUnavailable(error)) throw error;
+      markEndpointOffline(endpoint, error);
+      lastError = error;
+      console.warn(`[WARN] Ollama endpoint ${endpoint.name} unavailable (${describeError(error)}), trying the next one`);
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * fetch() an Ollama API path on an endpoint that hosts the model
+ * @param {string} pathname - e.g. '/api/generate'
+ * @param {Object} init - fetch() options
+ * @param {string|null} model - Model of the request (used for routing)
+ * @returns {Promise<Response>}
+ */
+function ollamaFetch(pathname, init = {}, model = null) {
+  return requestOllama(model, async endpoint => {
+    const response = await fetch(ollamaUrl(pathname, endpoint), {
+      ...init,
+      headers: { ...ollamaHeaders(endpoint), ...init.headers }
+    });
+    if (FAILOVER_STATUS_CODES.includes(response.status)) {
+      throw Object.assign(new Error(`Ollama returned HTTP ${response.status}`), { status: response.status });
+    }
+    return response;
+  });
+}
+
+/**
+ * Models of all endpoints, merged by name
+ * @returns {Promise<Array<Object>>} Models as in /api/tags, plus endpoints: [endpoint names]
+ *   (in the configured order; a model on several endpoints is listed once)
+ */
+async function listOllamaModels() {
+  await checkOllamaHealth();
+
+  const merged = new Map();
+  for (const endpoint of connection.endpoints) {
+    for (const model of health.get(endpoint.id)?.models || []) {
+      if (!merged.has(model.name)) {
+        merged.set(model.name, { ...model, endpoints: [] });
+      }
+      merged.get(model.name).endpoints.push(endpoint.name);
+    }
+  }
+
+  if (merged.size === 0 && connection.endpoints.every(endpoint => health.get(endpoint.id)?.status === 'offline')) {
+    throw new Error('No Ollama endpoint is reachable');
+  }
+  return [...merged.values()];
+}
+
+/**
+ * Check that an endpoint can be reached with the given (not yet saved) settings
+ * @param {Object} settings - { name, baseUrl, token, headers }
+ * @returns {Promise<Object>} { ok, version, modelCount, latencyMs } or { ok: false, error }
+ */
+async function testOllamaConnection(settings) {
+  const { endpoint, errors } = validateOllamaEndpoint({ ...settings, name: settings?.name || 'Test' });
+  if (errors.length > 0) {
+    return { ok: false, error: errors.join('; ') };
+  }
+
+  try {
+    const { version, models, latencyMs } = await probeEndpoint(endpoint);
+    return { ok: true, version, modelCount: models.length, latencyMs };
+  } catch (error) {
+    return { ok: false, error: error.status ? error.message : `Could not connect to ${endpoint.baseUrl}: ${describeError(error)}` };
+  }
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  getDefaultOllamaConnection,
+  validateOllamaConnection,
+  getOllamaConnection,
+  setOllamaConnection,
+  ollamaUrl,
+  ollamaHeaders,
+  isEndpointUnavailable,
+  markEndpointOffline,
+  checkOllamaHealth,
+  getOllamaHealth,
+  onOllamaHealthChange,
+  startOllamaHealthChecks,
+  getEndpointsForModel,
+  requestOllama,
+  ollamaFetch,
+  listOllamaModels,
+  testOllamaConnection
+};
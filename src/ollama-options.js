@@ -0,0 +1,145 @@
+/**
+ * Ollama Options
+ *
+ * Specification of the generation options that /chat-stream forwards to
+ * Ollama, plus validation of the values sent by the renderer.
+ * See https://github.com/ollama/ollama/blob/main/docs/modelfile.md#valid-parameters-and-values
+ */
+
+const { isValidResponseFormat } = require('./json-schema');
+
+// 値の範囲はOllamaが受け付ける範囲のうち、実用的な範囲に制限している
+const OPTION_SPECS = {
+  temperature: { type: 'number', min: 0, max: 2 },
+  top_p: { type: 'number', min: 0, max: 1 },
+  top_k: { type: 'integer', min: 0, max: 1000 },
+  seed: { type: 'integer' },
+  num_ctx: { type: 'integer', min: 1, max: 1048576 },
+  num_predict: { type: 'integer', min: -2, max: 1048576 }, // -1: 無制限, -2: コンテキストを埋めるまで
+  repeat_penalty: { type: 'number', min: 0, max: 5 },
+  repeat_last_n: { type: 'integer', min: -1, max: 1048576 }, // -1: num_ctx
+  min_p: { type: 'number', min: 0, max: 1 },
+  typical_p: { type: 'number', min: 0, max: 1 },
+  mirostat: { type: 'integer', min: 0, max: 2 }, // 0: 無効, 1: Mirostat, 2: Mirostat 2.0
+  mirostat_tau: { type: 'number', min: 0, max: 20 },
+  mirostat_eta: { type: 'number', min: 0, max: 1 },
+  presence_penalty: { type: 'number', min: -2, max: 2 },
+  frequency_penalty: { type: 'number', min: -2, max: 2 },
+  stop: { type: 'stringArray', maxItems: 16 }
+};
+
+// Defaults used when the request omits the basic sampling parameters
+const DEFAULT_OPTIONS = {
+  temperature: 0.7,
+  top_p: 0.9,
+  top_k: 40,
+  seed: 42
+};
+
+// Options shown in the "Advanced parameters" section (everything but the basic four)
+const ADVANCED_OPTION_KEYS = Object.keys(OPTION_SPECS).filter(key => !(key in DEFAULT_OPTIONS));
+
+// keep_alive: seconds as a number, or a duration string such as "5m", "1h30m", "-1"
+const KEEP_ALIVE_PATTERN = /^-?(\d+(\.\d+)?(ms|s|m|h))+$|^-?\d+$/;
+
+// think: true/false, or a reasoning effort level for models such as gpt-oss
+const THINK_LEVELS = ['low', 'medium', 'high'];
+
+function isUnset(value) {
+  return value === undefined || value === null || value === '' ||
+    (typeof value === 'number' && Number.isNaN(value));
+}
+
+/**
+ * Validate one option value against its spec
+ * @param {string} key - Option name
+ * @param {*} value - Value (not unset)
+ * @param {Object} spec - Entry of OPTION_SPECS
+ * @returns {string|null} Error message, or null if the value is valid
+ */
+function validateOption(key, value, spec) {
+  if (spec.type === 'stringArray') {
+    if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || item === '')) {
+      return `${key} must be an array of non-empty strings`;
+    }
+    if (value.length > spec.maxItems) {
+      return `${key} accepts at most ${spec.maxItems} entries`;
+    }
+    return null;
+  }
+
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${key} must be a number`;
+  }
+  if (spec.type === 'integer' && !Number.isInteger(value)) {
+    return `${key} must be an integer`;
+  }
+  if ((spec.min !== undefined && value < spec.min) || (spec.max !== undefined && value > spec.max)) {
+    return `${key} must be between ${spec.min} and ${spec.max}`;
+  }
+  return null;
+}
+
+/**
+ * Validate generation parameters from a /chat-stream request body
+ * Unset values (undefined, null, '' or NaN) are left out so that Ollama uses
+ * the model's default; unknown keys are ignored.
+ * @param {Object} params - Request body fields other than model/messages
+ * @returns {{options: Object, keepAlive: (string|number|undefined), think: (boolean|string|undefined), format: (string|Object|undefined), errors: Array<string>}}
+ */
+function validateChatOptions(params = {}) {
+  const options = {};
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(OPTION_SPECS)) {
+    const value = isUnset(params[key]) ? DEFAULT_OPTIONS[key] : params[key];
+    if (value === undefined) continue;
+
+    const error = validateOption(key, value, spec);
+    if (error) {
+      errors.push(error);
+    } else if (!(spec.type === 'stringArray' && value.length === 0)) {
+      options[key] = value;
+    }
+  }
+
+  let keepAlive;
+  if (!isUnset(params.keep_alive)) {
+    const value = params.keep_alive;
+    if ((typeof value === 'number' && Number.isFinite(value)) ||
+        (typeof value === 'string' && KEEP_ALIVE_PATTERN.test(value.trim()))) {
+      keepAlive = typeof value === 'string' ? value.trim() : value;
+    } else {
+      errors.push('keep_alive must be a number of seconds or a duration such as "5m", "1h" or "-1"');
+    }
+  }
+
+  let think;
+  if (!isUnset(params.think)) {
+    if (typeof params.think === 'boolean' || THINK_LEVELS.includes(params.think)) {
+      think = params.think;
+    } else {
+      errors.push(`think must be true, false or one of ${THINK_LEVELS.join(', ')}`);
+    }
+  }
+
+  // format: "json" or a JSON Schema object (structured outputs)
+  let format;
+  if (!isUnset(params.format)) {
+    if (isValidResponseFormat(params.format)) {
+      format = params.format;
+    } else {
+      errors.push('format must be "json" or a JSON Schema object');
+    }
+  }
+
+  return { options, keepAlive, think, format, errors };
+}
+
+module.exports = {
+  OPTION_SPECS,
+  DEFAULT_OPTIONS,
+  ADVANCED_OPTION_KEYS,
+  validateOption,
+  validateChatOptions
+};
@@ -0,0 +1,314 @@
+/**
+ * OpenAI-compatible API
+ *
+ * Conversion between the OpenAI Chat Completions / Embeddings / Models
+ * formats and Ollama's native API, used by the /v1 endpoints of server.js.
+ * See https://platform.openai.com/docs/api-reference/chat
+ *
+ * Models prefixed with "rag:" (e.g. "rag:llama3.2") are virtual models:
+ * the chunks found by searchFromStore() for the last user message are
+ * injected as a system message before the request is sent to the base model.
+ */
+
+const { randomUUID } = require('crypto');
+
+const RAG_MODEL_PREFIX = 'rag:';
+
+const RAG_MODES = ['embedding', 'fulltext', 'hybrid'];
+
+const RAG_SYSTEM_PROMPT =
+  'Answer based on the following numbered references from the user\'s documents. ' +
+  'Cite the references you use with their numbers in square brackets, e.g. [1] or [2][3]. ' +
+  'Only cite numbers that appear in the list.';
+
+/**
+ * Error body in the OpenAI format
+ * @param {string} message - Error message
+ * @param {string} type - 'invalid_request_error', 'not_found_error' or 'api_error'
+ * @param {string|null} code - Machine-readable code, e.g. 'model_not_found'
+ * @returns {Object} { error: { message, type, param, code } }
+ */
+function toOpenAIError(message, type = 'invalid_request_error', code = null) {
+  return { error: { message, type, param: null, code } };
+}
+
+/**
+ * Split a requested model name into the Ollama model and the RAG flag
+ * @param {string} model - e.g. "llama3.2" or "rag:llama3.2"
+ * @returns {{model: string, rag: boolean}}
+ */
+function parseModelName(model) {
+  return model.startsWith(RAG_MODEL_PREFIX)
+    ? { model: model.slice(RAG_MODEL_PREFIX.length), rag: true }
+    : { model, rag: false };
+}
+
+// data:image/png;base64,... → base64（Ollamaはbase64の画像のみ受け付ける）
+function toBase64Image(url) {
+  const match = /^data:image\/[\w.+-]+;base64,(.+)$/s.exec(url || '');
+  return match ? match[1] : null;
+}
+
+function convertContent(content, index, errors) {
+  if (typeof content === 'string' || content === null || content === undefined) {
+    return { content: content || '', images: [] };
+  }
+  if (!Array.isArray(content)) {
+    errors.push(`messages[${index}].content must be a string or an array of content parts`);
+    return { content: '', images: [] };
+  }
+
+  const texts = [];
+  const images = [];
+  content.forEach(part => {
+    if (part?.type === 'text') {
+      texts.push(part.text || '');
+    } else if (part?.type === 'image_url') {
+      const image = toBase64Image(part.image_url?.url);
+      if (image) {
+        images.push(image);
+      } else {
+        errors.push(`messages[${index}]: only base64 data URLs are supported for images`);
+      }
+    } else {
+      errors.push(`messages[${index}]: unsupported content part type "${part?.type}"`);
+    }
+  });
+  return { content: texts.join('\n'), images };
+}
+
+/**
+ * Convert OpenAI chat messages into Ollama messages
+ * Tool calls carry their arguments as a JSON string in OpenAI and as an
+ * object in Ollama; tool results are matched to the tool name by tool_call_id.
+ * @param {Array<Object>} messages - OpenAI messages
+ * @returns {{messages: Array<Object>, errors: Array<string>}}
+ */
+function toOllamaMessages(messages) {
+  const errors = [];
+  const toolNames = new Map();
+
+  const converted = messages.map((message, index) => {
+    const role = message?.role === 'developer' ? 'system' : message?.role;
+    if (!['system', 'user', 'assistant', 'tool'].includes(role)) {
+      errors.push(`messages[${index}].role must be one of system, developer, user, assistant, tool`);
+      return null;
+    }
+
+    const { content, images } = convertContent(message.content, index, errors);
+    const result = { role, content, ...(images.length > 0 && { images }) };
+
+    if (role === 'assistant' && Array.isArray(message.tool_calls)) {
+      result.tool_calls = message.tool_calls.map(call => {
+        toolNames.set(call.id, call.function?.name);
+        let args = call.function?.arguments ?? {};
+        if (typeof args === 'string') {
+          try {
+            args = JSON.parse(args || '{}');
+          } catch (error) {
+            errors.push(`messages[${index}]: arguments of tool call "${call.id}" are not valid JSON`);
+          }
+        }
+        return { function: { name: call.function?.name, arguments: args } };
+      });
+    }
+    if (role === 'tool' && toolNames.has(message.tool_call_id)) {
+      result.tool_name = toolNames.get(message.tool_call_id);
+    }
+    return result;
+  });
+
+  return { messages: converted.filter(Boolean), errors };
+}
+
+// OpenAIの reasoning_effort → Ollamaの think（Ollamaは low / medium / high と true / false のみ）
+const REASONING_EFFORT_TO_THINK = {
+  none: false,
+  minimal: 'low',
+  low: 'low',
+  medium: 'medium',
+  high: 'high'
+};
+
+/**
+ * Map the OpenAI sampling fields to the parameters of validateChatOptions()
+ * @param {Object} body - Request body of /v1/chat/completions
+ * @returns {{params: Object, errors: Array<string>}}
+ */
+function toOllamaParams(body) {
+  const errors = [];
+  const params = {
+    temperature: body.temperature,
+    top_p: body.top_p,
+    seed: body.seed,
+    num_predict: body.max_completion_tokens ?? body.max_tokens,
+    presence_penalty: body.presence_penalty,
+    frequency_penalty: body.frequency_penalty,
+    stop: typeof body.stop === 'string' ? [body.stop] : body.stop
+  };
+
+  if (body.reasoning_effort !== undefined && body.reasoning_effort !== null) {
+    if (Object.hasOwn(REASONING_EFFORT_TO_THINK, body.reasoning_effort)) {
+      params.think = REASONING_EFFORT_TO_THINK[body.reasoning_effort];
+    } else {
+      errors.push(`reasoning_effort must be one of ${Object.keys(REASONING_EFFORT_TO_THINK).join(', ')}`);
+    }
+  }
+
+  const responseFormat = body.response_format;
+  if (responseFormat?.type === 'json_object') {
+    params.format = 'json';
+  } else if (responseFormat?.type === 'json_schema') {
+    params.format = responseFormat.json_schema?.schema;
+  } else if (responseFormat && responseFormat.type !== 'text') {
+    errors.push('response_format.type must be text, json_object or json_schema');
+  }
+
+  if (body.n !== undefined && body.n !== 1) {
+    errors.push('n must be 1');
+  }
+
+  return { params, errors };
+}
+
+/**
+ * Read the RAG options of a request to a "rag:" model
+ * Clients can pass them in an extra "rag" field: { mode, k, useGraphRAG, retrieval }
+ * (retrieval: see retrieval-settings.js). searchFromStore() validates the rest.
+ * @param {Object} rag - body.rag
+ * @returns {{options: Object, errors: Array<string>}}
+ */
+function toRagOptions(rag = {}) {
+  const errors = [];
+  const { mode = 'embedding', k, useGraphRAG = false, retrieval = {} } = rag || {};
+
+  if (!RAG_MODES.includes(mode)) {
+    errors.push(`rag.mode must be one of ${RAG_MODES.join(', ')}`);
+  }
+  if (k !== undefined && (!Number.isInteger(k) || k < 1 || k > 20)) {
+    errors.push('rag.k must be an integer between 1 and 20');
+  }
+  if (typeof useGraphRAG !== 'boolean') {
+    errors.push('rag.useGraphRAG must be a boolean');
+  }
+
+  return {
+    options: { mode, k: k ?? retrieval?.topK ?? 3, useGraphRAG, retrieval },
+    errors
+  };
+}
+
+/**
+ * Text of the last user message (the query of a "rag:" model)
+ * @param {Array<Object>} messages - Ollama messages
+ * @returns {string} Query, empty if there is no user message
+ */
+function getRagQuery(messages) {
+  const lastUser = [...messages].reverse().find(message => message.role === 'user');
+  return lastUser ? lastUser.content : '';
+}
+
+/**
+ * Build the system message with the retrieved chunks
+ * @param {Array<Object>} results - searchFromStore() results (Langchain Document format)
+ * @returns {Object} Ollama system message
+ */
+function buildRagSystemMessage(results) {
+  const references = results.map((doc, index) => {
+    const fileName = (doc.metadata?.source || 'Unknown').split('/').pop();
+    const page = doc.metadata?.page ? ` (p.${doc.metadata.page})` : '';
+    return `[${index + 1}] ${fileName}${page}\n${doc.pageContent}`;
+  }).join('\n\n');
+  return { role: 'system', content: `${RAG_SYSTEM_PROMPT}\n\n${references}` };
+}
+
+/**
+ * Sources of a RAG answer, returned in the extra "rag_sources" field
+ * @param {Array<Object>} results - searchFromStore() results
+ * @returns {Array<Object>} [{ index, source, page, content }]
+ */
+function toRagSources(results) {
+  return results.map((doc, index) => ({
+    index: index + 1,
+    source: doc.metadata?.source || 'Unknown',
+    page: doc.metadata?.page ?? null,
+    content: doc.pageContent
+  }));
+}
+
+/**
+ * Convert Ollama tool calls into OpenAI tool calls
+ * @param {Array<Object>} toolCalls - message.tool_calls from Ollama
+ * @param {number} offset - Index of the first call (calls may arrive in several chunks)
+ * @returns {Array<Object>} [{ index, id, type: 'function', function: { name, arguments } }]
+ */
+function toOpenAIToolCalls(toolCalls, offset = 0) {
+  return toolCalls.map((call, i) => ({
+    index: offset + i,
+    id: `call_${randomUUID().replace(/-/g, '').slice(0, 24)}`,
+    type: 'function',
+    function: {
+      name: call.function?.name,
+      arguments: JSON.stringify(call.function?.arguments ?? {})
+    }
+  }));
+}
+
+/**
+ * OpenAI finish_reason for Ollama's done_reason
+ * @param {string} doneReason - 'stop', 'length', ...
+ * @param {boolean} hasToolCalls - Whether the answer requested tool calls
+ * @returns {string} 'stop', 'length' or 'tool_calls'
+ */
+function toFinishReason(doneReason, hasToolCalls) {
+  if (hasToolCalls) return 'tool_calls';
+  return doneReason === 'length' ? 'length' : 'stop';
+}
+
+/**
+ * Token usage from Ollama's final object
+ * @param {Object} done - Last object of /api/chat or /api/embed
+ * @returns {Object} { prompt_tokens, completion_tokens, total_tokens }
+ */
+function toUsage(done) {
+  const promptTokens = done.prompt_eval_count ?? 0;
+  const completionTokens = done.eval_count ?? 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens
+  };
+}
+
+/**
+ * Convert a model of Ollama's /api/tags into an OpenAI model object
+ * @param {Object} model - { name, modified_at }
+ * @param {string} id - Model id (the name, or the "rag:" virtual model)
+ * @returns {Object} { id, object: 'model', created, owned_by }
+ */
+function toModelObject(model, id = model.name) {
+  const modifiedAt = Date.parse(model.modified_at);
+  return {
+    id,
+    object: 'model',
+    created: Number.isNaN(modifiedAt) ? 0 : Math.floor(modifiedAt / 1000),
+    owned_by: id.startsWith(RAG_MODEL_PREFIX) ? 'spielwiese-rag' : 'ollama'
+  };
+}
+
+module.exports = {
+  RAG_MODEL_PREFIX,
+  RAG_MODES,
+  toOpenAIError,
+  parseModelName,
+  toOllamaMessages,
+  toOllamaParams,
+  toRagOptions,
+  getRagQuery,
+  buildRagSystemMessage,
+  toRagSources,
+  toOpenAIToolCalls,
+  toFinishReason,
+  toUsage,
+  toModelObject
+};
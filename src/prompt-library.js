@@ -0,0 +1,132 @@
+/**
+ * Prompt Library
+ *
+ * Presets (system prompt, parameters and RAG settings) and prompt templates
+ * with {{variables}}. User entries are stored in the app database; the
+ * built-in entries below are always available and cannot be deleted.
+ */
+
+// Version of the JSON file written by the library export
+export const LIBRARY_EXPORT_VERSION = 1;
+
+const DEFAULT_PARAMETERS = { temperature: 0.7, top_p: 0.9, top_k: 40, seed: 42 };
+const NO_RAG = { useChunkRAG: false, useGraphRAG: false, mode: 'embedding' };
+
+export const BUILTIN_PRESETS = [
+  {
+    name: 'RAG Q&A',
+    systemPrompt:
+      'You are a careful research assistant. Answer only from the provided references. ' +
+      'If the references do not contain the answer, say so instead of guessing. ' +
+      'Cite the reference number, e.g. [1], for each statement.',
+    parameters: { ...DEFAULT_PARAMETERS, temperature: 0.2 },
+    ragSettings: { useChunkRAG: true, useGraphRAG: false, mode: 'embedding' }
+  },
+  {
+    name: 'Summarisation',
+    systemPrompt:
+      'You summarise texts accurately and concisely. Keep the key facts, numbers and conclusions ' +
+      'and do not add information that is not in the text. Use bullet points unless asked otherwise.',
+    parameters: { ...DEFAULT_PARAMETERS, temperature: 0.3 },
+    ragSettings: NO_RAG
+  },
+  {
+    name: 'Translation',
+    systemPrompt:
+      'You are a professional translator. Translate the text faithfully, preserving meaning, tone and formatting. ' +
+      'Output only the translation.',
+    parameters: { ...DEFAULT_PARAMETERS, temperature: 0.1 },
+    ragSettings: NO_RAG
+  }
+];
+
+export const BUILTIN_TEMPLATES = [
+  {
+    name: 'Ask the documents',
+    template: 'Using the documents about {{topic}}, answer the following question:\n\n{{question}}'
+  },
+  {
+    name: 'Summarise text',
+    template: 'Summarise the following text in {{length}}:\n\n{{text}}'
+  },
+  {
+    name: 'Translate text',
+    template: 'Translate the following text into {{language}}:\n\n{{text}}'
+  }
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Get the variables used in a template, in order of first appearance
+ * @param {string} template - e.g. "Translate into {{language}}: {{text}}"
+ * @returns {Array<string>} e.g. ["language", "text"]
+ */
+export function getTemplateVariables(template) {
+  const names = [...template.matchAll(VARIABLE_PATTERN)].map(match => match[1]);
+  return [...new Set(names)];
+}
+
+/**
+ * Replace the {{variables}} of a template
+ * @param {string} template - Template text
+ * @param {Object} values - Variable name -> value (missing values become empty)
+ * @returns {string} Filled-in prompt
+ */
+export function fillTemplate(template, values = {}) {
+  return template.replace(VARIABLE_PATTERN, (_, name) => values[name] ?? '');
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Validate the structure written by the library export
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+export function validateLibraryExport(data) {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ['The file does not contain a prompt library object.'];
+  }
+  if (data.presets === undefined && data.templates === undefined) {
+    return ['The file contains neither "presets" nor "templates".'];
+  }
+
+  if (data.presets !== undefined) {
+    if (!Array.isArray(data.presets)) {
+      errors.push('"presets" must be an array.');
+    } else {
+      data.presets.forEach((preset, index) => {
+        if (!isPlainObject(preset) || typeof preset.name !== 'string' || !preset.name.trim()) {
+          errors.push(`presets[${index}]: name must be a non-empty string.`);
+        } else if (preset.systemPrompt !== undefined && typeof preset.systemPrompt !== 'string') {
+          errors.push(`presets[${index}]: systemPrompt must be a string.`);
+        } else if (preset.parameters !== undefined && !isPlainObject(preset.parameters)) {
+          errors.push(`presets[${index}]: parameters must be an object.`);
+        } else if (preset.ragSettings !== undefined && !isPlainObject(preset.ragSettings)) {
+          errors.push(`presets[${index}]: ragSettings must be an object.`);
+        }
+      });
+    }
+  }
+
+  if (data.templates !== undefined) {
+    if (!Array.isArray(data.templates)) {
+      errors.push('"templates" must be an array.');
+    } else {
+      data.templates.forEach((template, index) => {
+        if (!isPlainObject(template) || typeof template.name !== 'string' || !template.name.trim()) {
+          errors.push(`templates[${index}]: name must be a non-empty string.`);
+        } else if (typeof template.template !== 'string') {
+          errors.push(`templates[${index}]: template must be a string.`);
+        }
+      });
+    }
+  }
+
+  return errors;
+}
@@ -0,0 +1,138 @@
+/**
+ * RAG Prompt Helpers
+ *
+ * Turns search results from searchFromStore() into the retrieved context
+ * stored with a user message, the prompt sent to the chat model and the
+ * source list shown below the answer.
+ *
+ * User messages keep what the user typed in `content`; the retrieved chunks
+ * are stored separately in `retrieved_context` and only combined with the
+ * question (through the RAG prompt template) when a request is sent.
+ */
+
+import { fillTemplate } from './prompt-library';
+
+// {{context}} is replaced with the numbered chunks, {{question}} with the user's message
+export const DEFAULT_RAG_TEMPLATE =
+  'Answer the question based on the following numbered references. ' +
+  'Cite the references you use with their numbers in square brackets, e.g. [1] or [2][3]. ' +
+  'Only cite numbers that appear in the list.\n\n{{context}}\n\nQuestion: {{question}}';
+
+// 以前のバージョンはRAGプロンプト全体をユーザーメッセージのcontentとして保存していた
+const LEGACY_RAG_PREFIX = 'Answer the question based on the following references:\n';
+
+/**
+ * Convert search results into plain records for a message's retrieved_context
+ * @param {Array} results - Search results (Langchain Document format)
+ * @returns {Array<Object>} [{ content, source, page, chunkId, score, scoreType, graphrag, entities }]
+ */
+export function toRetrievedContext(results) {
+  return results.map(doc => {
+    const metadata = doc.metadata || {};
+    const chunk = {
+      content: doc.pageContent,
+      source: metadata.source || 'Unknown'
+    };
+    if (metadata.page) chunk.page = metadata.page;
+    if (metadata.chunk_id) chunk.chunkId = metadata.chunk_id;
+    if (typeof metadata.score === 'number') {
+      chunk.score = metadata.score;
+      chunk.scoreType = metadata.score_type || null; // 'similarity' (embedding), 'keyword' (full-text), 'fusion' (hybrid) or 'entities' (GraphRAG)
+    }
+    if (metadata.graphrag) {
+      chunk.graphrag = true;
+      chunk.entities = (metadata.entity_names || []).map((name, idx) => ({
+        name,
+        type: metadata.entity_types?.[idx] || null
+      }));
+    }
+    return chunk;
+  });
+}
+
+/**
+ * Format the file name and page of a retrieved chunk
+ * @param {Object} chunk - Record from toRetrievedContext()
+ * @returns {string} e.g. "paper.pdf (p.3)"
+ */
+export function formatChunkLabel(chunk) {
+  const fileName = (chunk.source || 'Unknown').split('/').pop();
+  return chunk.page ? `${fileName} (p.${chunk.page})` : fileName;
+}
+
+/**
+ * Format a human-readable source label for each retrieved chunk
+ * @param {Array<Object>} chunks - Records from toRetrievedContext()
+ * @returns {string} Source list, one "・file (p.N)" line per unique source
+ */
+export function formatSourceList(chunks) {
+  // Get source information with page numbers and entity info
+  const sourceInfo = chunks.map(chunk => {
+    let info = formatChunkLabel(chunk);
+
+    // Add entity information for GraphRAG results
+    if (chunk.graphrag && chunk.entities?.length > 0) {
+      const entityLabels = chunk.entities.map(({ name, type }) => (type ? `${name} (${type})` : name));
+      info += ` [🕸️ ${entityLabels.join(', ')}]`;
+    }
+
+    return info;
+  });
+
+  // Remove duplicates while preserving order
+  const uniqueSources = [...new Set(sourceInfo)];
+  return uniqueSources.map(src => `・${src}`).join('\n');
+}
+
+/**
+ * Check a RAG prompt template
+ * @param {string} template - Template text
+ * @returns {string|null} Error message, or null if the template can be used
+ */
+export function validateRagTemplate(template) {
+  const missing = ['{{context}}', '{{question}}'].filter(placeholder => !template.includes(placeholder));
+  return missing.length > 0 ? `The RAG prompt template must contain ${missing.join(' and ')}.` : null;
+}
+
+/**
+ * Build the user prompt that injects the retrieved context
+ * The chunks are numbered [1], [2], ... in retrieval order so that the model
+ * can cite them; the numbers match the citation badges in the chat.
+ * @param {Array<Object>} chunks - Records from toRetrievedContext()
+ * @param {string} question - Question typed by the user
+ * @param {string} template - RAG prompt template (default: DEFAULT_RAG_TEMPLATE)
+ * @returns {string} Prompt for the chat model
+ */
+export function buildRagPrompt(chunks, question, template = DEFAULT_RAG_TEMPLATE) {
+  const context = chunks
+    .map((chunk, index) => `[${index + 1}] ${formatChunkLabel(chunk)}\n${chunk.content}`)
+    .join('\n\n');
+  return fillTemplate(template || DEFAULT_RAG_TEMPLATE, { context, question });
+}
+
+/**
+ * Convert a user message stored by an older version (RAG prompt in `content`,
+ * typed text in `prompt`) into the current format
+ * @param {Object} message - Stored chat message
+ * @returns {Object} Message with `content` and `retrieved_context`
+ */
+export function migrateLegacyRagMessage(message) {
+  if (message.role !== 'user' || typeof message.prompt !== 'string') {
+    return message;
+  }
+
+  const { prompt, citations, ...rest } = message;
+  const questionSuffix = `\n\nQuestion: ${prompt}`;
+  let retrievedContext = [];
+  if (message.content.startsWith(LEGACY_RAG_PREFIX) && message.content.endsWith(questionSuffix)) {
+    const context = message.content.slice(LEGACY_RAG_PREFIX.length, -questionSuffix.length);
+    // 古い形式にはチャンクごとの出典がないため、本文だけを復元する
+    retrievedContext = context.split('\n---\n').map(content => ({ content, source: 'Unknown' }));
+  }
+
+  return {
+    ...rest,
+    content: prompt,
+    ...(retrievedContext.length > 0 && { retrieved_context: retrievedContext })
+  };
+}
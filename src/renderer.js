@@ -1,5 +1,53 @@
 import '../public/style.css';
 import { marked } from 'marked';
+import {
+  createTree,
+  addNode,
+  appendToActivePath,
+  getActivePath,
+  getPathTo,
+  removeNode,
+  getSiblingInfo,
+  selectSibling,
+  buildTreeFromMessages,
+  isValidTree
+} from './conversation-tree';
+import {
+  DEFAULT_RAG_TEMPLATE,
+  buildRagPrompt,
+  formatSourceList,
+  toRetrievedContext,
+  validateRagTemplate,
+  migrateLegacyRagMessage
+} from './rag-prompt';
+import { ADVANCED_OPTION_KEYS, OPTION_SPECS } from './ollama-options';
+import { readChatStream, formatGenerationStats } from './chat-stream';
+import { getToolDefinitions, executeToolCall, toolRoundsToMessages, MAX_TOOL_ROUNDS } from './tool-registry';
+import { validateJsonSchema } from './json-schema';
+import {
+  CHARS_PER_TOKEN,
+  DEFAULT_NUM_CTX,
+  DEFAULT_CONTEXT_STRATEGY,
+  CONTEXT_STRATEGIES,
+  estimateTokens,
+  estimateMessageTokens,
+  getInputBudget,
+  fitToContextWindow
+} from './context-window';
+import {
+  BUILTIN_PRESETS,
+  BUILTIN_TEMPLATES,
+  LIBRARY_EXPORT_VERSION,
+  getTemplateVariables,
+  fillTemplate,
+  validateLibraryExport
+} from './prompt-library';
+import { linkCitations, createReferenceList, hideCitationPopover } from './citations';
+import { GROUNDING_METHODS, MAX_CLAIMS, splitIntoClaims } from './grounding';
+import { findTextRange } from './text-match';
+import { createRetrievalTraceBlock } from './retrieval-inspector';
+import { getDefaultRetrievalSettings, validateRetrievalSettings } from './retrieval-settings';
+import './builtin-tools';
 
 // Configure marked for safe rendering
 marked.setOptions({
@@ -9,9 +57,15 @@ marked.setOptions({
   mangle: false
 });
 
-let messages = [];
+let messages = []; // 現在のブランチのメッセージ（conversationTreeから生成）
+let conversationTree = createTree();
 let isChatActive = false;
+let currentSessionId = null; // 現在開いているチャットセッションのID
+let currentAbortController = null; // 生成中のリクエストを中止するためのAbortController
 let serverPort = null; // サーバーポートをキャッシュ
+let pendingImages = []; // 次のプロンプトに添付する画像（Ollama形式のbase64、data:プレフィックスなし）
+const modelInfoCache = {}; // モデル名 -> { capabilities, contextLength, numCtx }（/api/showの結果）
+let visionWarningShownFor = null; // 同じモデルについて何度も警告しない
 
 // Common embedding models known to work well
 const COMMON_EMBEDDING_MODELS = [
@@ -38,6 +92,19 @@ function isRecommendedEmbeddingModel(modelName) {
   );
 }
 
+/**
+ * Label of a model in the model lists
+ * With several endpoints, the endpoints that have the model are shown after its name.
+ * @param {string} model - Model name
+ * @param {Object} endpoints - { model name: [endpoint names] } from /models
+ * @returns {string} e.g. "llama3.2 — Laptop, Workstation"
+ */
+function formatModelLabel(model, endpoints = {}) {
+  return ollamaEndpoints.length > 1 && endpoints[model]?.length > 0
+    ? `${model} — ${endpoints[model].join(', ')}`
+    : model;
+}
+
 async function loadModels() {
     try {
       const port = await getServerPort();
@@ -53,12 +120,18 @@ async function loadModels() {
       const chatData = await chatRes.json();
       const select = document.getElementById('model-select');
 
+      // 接続先を変更して読み込み直す場合は、選択中のモデルを残す
+      const previousModel = select.value;
+      select.innerHTML = '';
       chatData.models.forEach(model => {
         const option = document.createElement('option');
         option.value = model;
-        option.textContent = model;
+        option.textContent = formatModelLabel(model, chatData.endpoints);
         select.appendChild(option);
       });
+      if (chatData.models.includes(previousModel)) {
+        select.value = previousModel;
+      }
 
       // Load embedding models only
       const embedRes = await fetch(`http://localhost:${port}/embedding-models`);
@@ -67,12 +140,13 @@ async function loadModels() {
       }
       const embedData = await embedRes.json();
       const embedSelect = document.getElementById('embed-model');
-      const currentEmbedModel = window.electronAPI.getCurrentEmbedderModel();
+      const currentEmbedModel = await window.electronAPI.getCurrentEmbedderModel();
 
+      embedSelect.innerHTML = '';
       embedData.models.forEach(model => {
         const option = document.createElement('option');
         option.value = model;
-        option.textContent = model;
+        option.textContent = formatModelLabel(model, embedData.endpoints);
         embedSelect.appendChild(option);
       });
 
@@ -83,11 +157,12 @@ async function loadModels() {
         embedSelect.value = embedData.models[0];
       }
     } catch (err) {
-      alert(`⚠️ Ollama API Not Responding\n\nThe application could not connect to Ollama.\n\nPlease make sure:\n1. Ollama is running (http://localhost:11434)\n2. At least one model is installed\n\nError details: ${err.message}`);
+      alert(`⚠️ Ollama API Not Responding\n\nThe application could not connect to Ollama.\n\nPlease make sure:\n1. Ollama is running on at least one endpoint: ${describeOllamaEndpoints()}\n2. At least one model is installed\n\nError details: ${err.message}`);
     }
   }
   
   window.addEventListener('DOMContentLoaded', async () => {
+    await loadOllamaConnection();
     loadModels();
 
     // サーバーエラー時の通知を受け取る
@@ -107,184 +182,42 @@ async function loadModels() {
     // イベントリスナーを先に登録（これが最も重要）
     document.getElementById('send').addEventListener('click', async () => {
       const prompt = document.getElementById('prompt').value;
-      const systemPrompt = document.getElementById('system-prompt').value;
-  
-      const model = document.getElementById('model-select').value;
-      const temperature = parseFloat(document.getElementById('temperature').value);
-      const top_p = parseFloat(document.getElementById('top_p').value);
-      const top_k = parseInt(document.getElementById('top_k').value);
-      const seed = parseInt(document.getElementById('seed').value);
-
-      // Get RAG settings
-      const useChunkRAG = document.getElementById('use-rag-checkbox').checked;
-      const useGraphRAG = document.getElementById('use-graphrag-checkbox').checked;
-      const useRag = useChunkRAG || useGraphRAG; // RAG is enabled if either is checked
-
-      if (!isChatActive) {
-        messages = [];
-        if (systemPrompt) {
-          messages.push({ role: 'system', content: systemPrompt });
-        }
-        isChatActive = true;
-        lockParamsUI(true);
-      }
-      let citations = '';
-      appendMessage('user', prompt);
-
-      // Show typing indicator immediately (before RAG search)
-      const assistantEntry = createMessageEntry('assistant');
-      assistantEntry.innerHTML = '<div style="display: flex; align-items: center; gap: 8px;"><div class="typing-indicator"><span></span><span></span><span></span></div><span style="color: #374151; font-weight: 500;">Thinking...</span></div>';
-      let isFirstChunk = true;
-
-      if (useRag) {
-        try {
-          const ragMode = document.querySelector('input[name="rag-mode"]:checked').value;
-
-          console.log('[DEBUG] RAG Settings:', { useChunkRAG, useGraphRAG, ragMode });
-
-          // Call unified search function with options
-          const results = await window.electronAPI.searchFromStore(prompt, 3, {
-            mode: ragMode,
-            useChunkRAG: useChunkRAG,
-            useGraphRAG: useGraphRAG,
-            chatModel: model,
-            chatHistory: messages
-          });
-
-          if (results.length === 0) {
-            alert('Reference information not found. Send as normal chat.');
-            messages.push({ role: 'user', content: prompt });
-          } else {
-            const context = results.map(doc => doc.pageContent).join('\n---\n');
-
-            // Get source information with page numbers and entity info
-            const sourceInfo = results.map(doc => {
-              const fullPath = doc.metadata?.source || 'Unknown';
-              const fileName = fullPath.split('/').pop();
-              const pageNum = doc.metadata?.page;
-              let info = pageNum ? `${fileName} (p.${pageNum})` : fileName;
-
-              // Add entity information for GraphRAG results
-              if (doc.metadata?.graphrag && doc.metadata?.entity_names?.length > 0) {
-                const entityLabels = doc.metadata.entity_names.map((name, idx) => {
-                  const type = doc.metadata.entity_types?.[idx];
-                  return type ? `${name} (${type})` : name;
-                });
-                info += ` [🕸️ ${entityLabels.join(', ')}]`;
-              }
-
-              return info;
-            });
-
-            // Remove duplicates while preserving order
-            const uniqueSources = [...new Set(sourceInfo)];
-            citations = uniqueSources.map(src => `・${src}`).join('\n');
-
-            messages.push({
-              role: 'user',
-              content: `Answer the question based on the following references:\n${context}\n\nQuestion: ${prompt}`
-            });
-          }
-        } catch (error) {
-          alert(
-            `⚠️ RAG Search Failed\n\n` +
-            `Error: ${error.message}\n\n` +
-            `This may happen if:\n` +
-            `• The embedding model used for stored documents is no longer available\n` +
-            `• The selected embedding model is not suitable for embeddings\n\n` +
-            `Proceeding with normal chat without RAG.\n` +
-            `Please check your embedding model settings or re-upload documents with a proper embedding model.`
-          );
-          messages.push({ role: 'user', content: prompt });
-        }
-      } else {
-        messages.push({
-          role: 'user',
-          content: prompt
-        });
-      }
-      //messages.push({ role: 'user', content: prompt });
-      document.getElementById('prompt').value = '';
+      await sendPrompt(prompt);
+    });
 
-      const port = await getServerPort();
-      if (!port) {
-        alert('Internal server not available. Cannot send message.');
-        return;
+    // 画像の貼り付け・ドラッグ&ドロップで添付
+    const promptInput = document.getElementById('prompt');
+    promptInput.addEventListener('paste', async (e) => {
+      const files = [...(e.clipboardData?.files || [])].filter(file => file.type.startsWith('image/'));
+      if (files.length > 0) {
+        e.preventDefault();
+        await addImageFiles(files);
       }
+    });
+    promptInput.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      promptInput.classList.add('drag-over');
+    });
+    promptInput.addEventListener('dragleave', () => promptInput.classList.remove('drag-over'));
+    promptInput.addEventListener('drop', async (e) => {
+      e.preventDefault();
+      promptInput.classList.remove('drag-over');
+      await addImageFiles(e.dataTransfer.files);
+    });
+    document.getElementById('model-select').addEventListener('change', () => warnIfNoVision());
+    document.getElementById('response-format').addEventListener('change', updateResponseFormatUI);
 
-      try {
-        const res = await fetch(`http://localhost:${port}/chat-stream`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            model,
-            messages,
-            temperature,
-            top_p,
-            top_k,
-            seed
-          }),
-        });
-
-        // Check if the response is ok
-        if (!res.ok) {
-          const errorText = await res.text();
-          throw new Error(`Ollama API Error (${res.status}): ${errorText}`);
-        }
-
-        const reader = res.body.getReader();
-        const decoder = new TextDecoder();
-        let assistantReply = '';
-
-        while (true) {
-          const { done, value } = await reader.read();
-          if (done) break;
-          const chunk = decoder.decode(value);
-
-          // Remove typing indicator on first chunk
-          if (isFirstChunk) {
-            assistantEntry.innerHTML = '';
-            isFirstChunk = false;
-          }
-
-          assistantReply += chunk;
-          // Render markdown to HTML
-          assistantEntry.innerHTML = marked.parse(assistantReply);
-        }
-
-        if (citations) {
-          assistantReply += `\n\n📎 Source:\n${citations}`;
-          // Render markdown to HTML
-          assistantEntry.innerHTML = marked.parse(assistantReply);
-        }
-
-        messages.push({ role: 'assistant', content: assistantReply });
-      } catch (error) {
-        console.error('[ERROR] Chat stream failed:', error);
-
-        // Remove typing indicator and show error
-        assistantEntry.innerHTML = '<span style="color: #ef4444;">Error: Failed to get response</span>';
-
-        // Display error message to user
-        const errorMessage = error.message || 'Unknown error';
-        alert(
-          `⚠️ Chat Request Failed\n\n` +
-          `Error: ${errorMessage}\n\n` +
-          `Common causes:\n` +
-          `• Insufficient RAM for the selected model\n` +
-          `• Ollama service is not responding\n` +
-          `• The model is not properly loaded\n` +
-          `• Network connection issue\n\n` +
-          `Try:\n` +
-          `• Using a smaller model\n` +
-          `• Restarting Ollama\n` +
-          `• Checking Ollama status at http://localhost:11434`
-        );
+    // コンテキストの使用量は、プロンプトやコンテキストに関わる設定が変わるたびに更新する
+    promptInput.addEventListener('input', updateContextIndicator);
+    for (const id of ['model-select', 'num_ctx', 'num_predict', 'context-strategy', 'tools-checkbox']) {
+      document.getElementById(id).addEventListener('change', updateContextIndicator);
+    }
+    updateContextIndicator();
 
-        // Remove the last user message since the request failed
-        if (messages.length > 0 && messages[messages.length - 1].role === 'user') {
-          messages.pop();
-        }
+    // Stop button: 生成中のストリームを中止
+    document.getElementById('stop').addEventListener('click', () => {
+      if (currentAbortController) {
+        currentAbortController.abort();
       }
     });
 
@@ -295,6 +228,31 @@ async function loadModels() {
       console.error('Failed to load vector store:', error);
     }
 
+    // Import Chat: 選択されたJSONファイルを読み込む
+    document.getElementById('import-chat-input').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await importChat(file);
+      }
+    });
+
+    // 保存済みチャットセッションの一覧を表示
+    await refreshSessionList();
+
+    // プリセットとプロンプトテンプレートを読み込む
+    await initPromptLibrary();
+
+    // Compare Models button
+    document.getElementById('open-compare').addEventListener('click', async () => {
+      try {
+        // 比較でもチャットと同じ検索パラメータ（top-k、しきい値など）を使う
+        await window.electronAPI.openCompareWindow({ retrieval: getChatSettings().ragSettings.retrieval });
+      } catch (error) {
+        console.error('[ERROR] Failed to open Compare window:', error);
+        alert(`Failed to open Compare window: ${error.message}`);
+      }
+    });
+
     // Manage RAG Documents button
     document.getElementById('manage-rag').addEventListener('click', async () => {
       try {
@@ -305,6 +263,29 @@ async function loadModels() {
       }
     });
 
+    // Manage Models button
+    document.getElementById('manage-models').addEventListener('click', async () => {
+      try {
+        await window.electronAPI.openModelManagerWindow();
+      } catch (error) {
+        console.error('[ERROR] Failed to open Manage Models window:', error);
+        alert(`Failed to open Manage Models window: ${error.message}`);
+      }
+    });
+
+    // モデル管理ウィンドウでモデルが追加・削除されたらモデル一覧を読み込み直す
+    window.electronAPI.onOllamaModelsChanged(() => loadModels());
+
+    // Retrieval parameters: reset to the defaults
+    document.getElementById('reset-retrieval-params').addEventListener('click', () => {
+      setRetrievalSettings(getDefaultRetrievalSettings());
+    });
+
+    // Ollama connection: test the form, or save it and reload the models
+    document.getElementById('add-ollama-endpoint-btn').addEventListener('click', () => addEndpointCard());
+    document.getElementById('check-ollama-health-btn').addEventListener('click', checkOllamaHealthNow);
+    document.getElementById('save-ollama-connection-btn').addEventListener('click', saveOllamaConnectionForm);
+
     // REMOVED: Old Load PDF for RAG button code
     /*
     document.getElementById('use-rag').addEventListener('click', async () => {
@@ -636,8 +617,545 @@ async function loadModels() {
     });
   });
 
+// Show an assistant entry with the typing indicator
+const TYPING_INDICATOR_HTML = '<div style="display: flex; align-items: center; gap: 8px;"><div class="typing-indicator"><span></span><span></span><span></span></div><span style="color: #374151; font-weight: 500;">Thinking...</span></div>';
+
+function createTypingEntry() {
+    const assistantEntry = createMessageEntry('assistant');
+    assistantEntry.innerHTML = TYPING_INDICATOR_HTML;
+    return assistantEntry;
+  }
+
+/**
+ * Convert stored messages into the messages sent to Ollama
+ * Only role, content, images and tool exchanges are sent; UI fields such as
+ * reasoning and stats stay local. The retrieved context of RAG questions is
+ * combined with the question here, using the RAG prompt template.
+ * @param {Array} storedMessages - Messages from the conversation tree
+ * @param {string} ragTemplate - RAG prompt template (default: DEFAULT_RAG_TEMPLATE)
+ * @returns {Array} Chat messages for /chat-stream
+ */
+function toOllamaMessages(storedMessages, ragTemplate = DEFAULT_RAG_TEMPLATE) {
+    return storedMessages.flatMap(message => [
+      ...(message.role === 'assistant' ? toolRoundsToMessages(message.toolRounds) : []),
+      {
+        role: message.role,
+        content: message.retrieved_context?.length > 0
+          ? buildRagPrompt(message.retrieved_context, message.content, ragTemplate)
+          : message.content,
+        ...(message.images?.length > 0 && { images: message.images })
+      }
+    ]);
+  }
+
+// Convert messages saved by older versions (see migrateLegacyRagMessage)
+function migrateConversationTree(tree) {
+    for (const node of Object.values(tree.nodes)) {
+      node.message = migrateLegacyRagMessage(node.message);
+    }
+    return tree;
+  }
+
+// Rebuild the flat message list from the active branch of the conversation tree
+function syncMessages() {
+    messages = getActivePath(conversationTree).map(node => node.message);
+  }
+
+/**
+ * Send a prompt to the selected model
+ * @param {string} prompt - Text typed by the user
+ * @param {Object} options
+ * @param {number|null} options.parentId - Branch point for edit-and-resend; the prompt becomes a new
+ *   child of this node instead of being appended to the active branch
+ * @param {Array<string>} options.images - Images of the edited message (new prompts use the pending attachments)
+ */
+async function sendPrompt(prompt, { parentId, images } = {}) {
+    // 生成中は新しいメッセージを送信しない
+    if (currentAbortController) return;
+
+    if (!checkResponseFormat() || !checkRagTemplate() || !checkRetrievalSettings()) return;
+
+    const isEdit = parentId !== undefined;
+    const attachedImages = isEdit ? (images || []) : [...pendingImages];
+    const { model, systemPrompt, ragSettings } = getChatSettings();
+
+    // Get RAG settings
+    const { useChunkRAG, useGraphRAG, mode: ragMode } = ragSettings;
+    const useRag = useChunkRAG || useGraphRAG; // RAG is enabled if either is checked
+
+    if (!isChatActive) {
+      conversationTree = createTree();
+      if (systemPrompt) {
+        appendToActivePath(conversationTree, { role: 'system', content: systemPrompt });
+      }
+      syncMessages();
+      isChatActive = true;
+      lockParamsUI(true);
+    }
+
+    // 編集の場合は分岐点までの履歴だけを表示・使用する
+    const history = isEdit
+      ? getPathTo(conversationTree, parentId).map(node => node.message)
+      : messages;
+    if (isEdit) {
+      renderConversation(getPathTo(conversationTree, parentId));
+    }
+
+    appendMessage('user', prompt, null, attachedImages);
+
+    currentAbortController = new AbortController();
+    setGenerating(true);
+
+    // Show typing indicator immediately (before RAG search)
+    const assistantEntry = createTypingEntry();
+
+    let userMessage = { role: 'user', content: prompt };
+
+    if (useRag) {
+      try {
+        console.log('[DEBUG] RAG Settings:', { useChunkRAG, useGraphRAG, ragMode });
+
+        // Call unified search function with options
+        const { results, trace } = await window.electronAPI.searchFromStore(prompt, ragSettings.retrieval.topK, {
+          mode: ragMode,
+          useChunkRAG: useChunkRAG,
+          useGraphRAG: useGraphRAG,
+          chatModel: model,
+          chatHistory: history,
+          retrieval: ragSettings.retrieval
+        });
+
+        // 検索の経過は結果がなくても保存し、質問の「Retrieval details」に表示する
+        userMessage.retrieval_trace = trace;
+        if (results.length === 0) {
+          alert('Reference information not found. Send as normal chat.');
+        } else {
+          // 検索結果は入力された質問とは別に保存し、送信時にRAGテンプレートで組み立てる
+          userMessage.retrieved_context = toRetrievedContext(results);
+          // toOllamaMessages()が送信時に組み立てるのと同じプロンプト
+          trace.finalPrompt = buildRagPrompt(userMessage.retrieved_context, prompt, ragSettings.template);
+        }
+      } catch (error) {
+        alert(
+          `⚠️ RAG Search Failed\n\n` +
+          `Error: ${error.message}\n\n` +
+          `This may happen if:\n` +
+          `• The embedding model used for stored documents is no longer available\n` +
+          `• The selected embedding model is not suitable for embeddings\n\n` +
+          `Proceeding with normal chat without RAG.\n` +
+          `Please check your embedding model settings or re-upload documents with a proper embedding model.`
+        );
+      }
+    }
+
+    if (attachedImages.length > 0) {
+      userMessage.images = attachedImages;
+    }
+
+    if (!isEdit) {
+      document.getElementById('prompt').value = '';
+      clearPendingImages();
+    }
+
+    const userNodeId = isEdit
+      ? addNode(conversationTree, parentId, userMessage)
+      : appendToActivePath(conversationTree, userMessage);
+    syncMessages();
+
+    await streamAssistantReply({
+      userNodeId,
+      assistantEntry,
+      removeUserOnFailure: true,
+      titleHint: prompt
+    });
+  }
+
+/**
+ * Stream an answer to a user message and add it to the tree as that message's child
+ * @param {Object} options
+ * @param {number} options.userNodeId - Tree node of the user message to answer
+ * @param {HTMLElement} options.assistantEntry - Chat log element to stream into
+ * @param {boolean} options.removeUserOnFailure - Drop the user message if no answer was produced
+ * @param {string} options.titleHint - Title for a newly created session
+ */
+async function streamAssistantReply({ userNodeId, assistantEntry, removeUserOnFailure, titleHint }) {
+    const { signal } = currentAbortController;
+    const { model, parameters, ragSettings } = getChatSettings();
+    const tools = parameters.useTools ? getToolDefinitions() : [];
+    const path = getPathTo(conversationTree, userNodeId);
+
+    const finishWithoutAnswer = () => {
+      if (removeUserOnFailure) {
+        removeNode(conversationTree, userNodeId);
+        syncMessages();
+      }
+    };
+
+    const addAssistantMessage = async (content, extra = {}) => {
+      const nodeId = addNode(conversationTree, userNodeId, { role: 'assistant', content, parameters, ...extra });
+      syncMessages();
+      renderConversation();
+      await saveCurrentSession(titleHint);
+      return nodeId;
+    };
+
+    const port = await getServerPort();
+    if (!port) {
+      alert('Internal server not available. Cannot send message.');
+      finishWithoutAnswer();
+      setGenerating(false);
+      currentAbortController = null;
+      return;
+    }
+
+    let assistantReply = '';
+    let reasoning = '';
+    let reasoningEl = null;
+    let stats = null;
+    let streamError = null;
+    let isFirstChunk = true;
+    let context = null; // 履歴を削った場合の情報（回答の下に表示する）
+    const toolRounds = []; // [{ content, calls: [{ name, arguments, result, error }] }]
+
+    // 推論はメッセージに保存するが、toOllamaMessages()で除外されるためモデルには送られない
+    // 出典は質問のretrieved_contextから表示時に作るため、回答には保存しない
+    const buildExtra = () => ({
+      ...(context && { context }),
+      ...(reasoning && { thinking: reasoning }),
+      ...(toolRounds.length > 0 && { toolRounds }),
+      ...(stats && { stats })
+    });
+
+    try {
+      // RAG検索中に停止ボタンが押された場合はリクエストを送らない
+      if (signal.aborted) {
+        throw new DOMException('Generation stopped by user', 'AbortError');
+      }
+
+      // コンテキストウィンドウに収まるよう履歴を調整する（必要なら古いターンを要約）
+      const prepared = await prepareHistory(path, { model, parameters, ragSettings, tools, port, signal });
+      const history = prepared.history;
+      context = prepared.context;
+      const capabilities = await getModelCapabilities(model);
+
+      // ツール呼び出しがある間は、結果を履歴に追加して再度リクエストする
+      while (true) {
+        const res = await fetch(`http://localhost:${port}/chat-stream`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          signal,
+          body: JSON.stringify({
+            model,
+            messages: [...history, ...toolRoundsToMessages(toolRounds)],
+            ...toChatStreamParameters(parameters, capabilities),
+            ...(tools.length > 0 && { tools })
+          }),
+        });
+
+        // Check if the response is ok
+        if (!res.ok) {
+          const errorText = await res.text();
+          throw new Error(`Ollama API Error (${res.status}): ${errorText}`);
+        }
+
+        const toolCalls = [];
+        await readChatStream(res, (event) => {
+          switch (event.type) {
+            case 'thinking':
+              if (!reasoningEl) {
+                reasoningEl = addReasoningBlock(assistantEntry, '', true);
+              }
+              reasoning += event.content;
+              reasoningEl.textContent = reasoning;
+              break;
+            case 'content':
+              // Remove typing indicator on first chunk
+              if (isFirstChunk) {
+                assistantEntry.innerHTML = '';
+                isFirstChunk = false;
+                // 回答が始まったら推論ブロックを折りたたむ
+                if (reasoningEl) {
+                  reasoningEl.parentElement.open = false;
+                }
+              }
+              assistantReply += event.content;
+              // Render markdown to HTML
+              assistantEntry.innerHTML = marked.parse(assistantReply);
+              break;
+            case 'tool_call':
+              toolCalls.push(...event.tool_calls);
+              break;
+            case 'stats':
+              stats = event.stats;
+              break;
+            case 'error':
+              streamError = event.error;
+              break;
+          }
+        });
+
+        if (streamError) {
+          throw new Error(streamError);
+        }
+
+        if (toolCalls.length === 0) break;
+        if (toolRounds.length >= MAX_TOOL_ROUNDS) {
+          console.warn(`[Tools] Stopped after ${MAX_TOOL_ROUNDS} tool rounds`);
+          break;
+        }
+
+        // ツールを実行し、呼び出しと結果をチャットログに表示する
+        const round = { content: assistantReply, calls: [] };
+        for (const call of toolCalls) {
+          if (signal.aborted) {
+            throw new DOMException('Generation stopped by user', 'AbortError');
+          }
+          const resultEl = addToolCallBlock(assistantEntry, { name: call.function?.name, arguments: call.function?.arguments });
+          const result = await executeToolCall(call, { model, ragSettings, signal });
+          resultEl.textContent = result.result;
+          resultEl.classList.toggle('tool-call-error', result.error);
+          round.calls.push(result);
+        }
+        toolRounds.push(round);
+
+        // ツールの実行中に停止ボタンが押された場合は次のラウンドを始めない
+        if (signal.aborted) {
+          throw new DOMException('Generation stopped by user', 'AbortError');
+        }
+
+        // 次の回答をタイピングインジケーターから表示し直す
+        assistantReply = '';
+        assistantEntry.innerHTML = TYPING_INDICATOR_HTML;
+        isFirstChunk = true;
+      }
+
+      const assistantNodeId = await addAssistantMessage(assistantReply, buildExtra());
+
+      // 根拠の確認は回答の表示後にバックグラウンドで行う（構造化出力のJSONは対象外）
+      const groundingMethod = ragSettings.groundingCheck;
+      if (GROUNDING_METHODS[groundingMethod] && groundingMethod !== 'off' && !parameters.format) {
+        runGroundingCheck(assistantNodeId, { method: groundingMethod, model });
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('[INFO] Generation stopped by user');
+
+        if (assistantReply) {
+          // 途中までの回答を残し、truncatedとしてマークする
+          await addAssistantMessage(assistantReply, { ...buildExtra(), truncated: true });
+        } else {
+          assistantEntry.innerHTML = '<span class="truncated-note">⏹️ Stopped before a response was generated</span>';
+          finishWithoutAnswer();
+        }
+        return;
+      }
+
+      console.error('[ERROR] Chat stream failed:', error);
+
+      // Remove typing indicator and show error
+      assistantEntry.innerHTML = '<span style="color: #ef4444;">Error: Failed to get response</span>';
+
+      // Display error message to user
+      const errorMessage = error.message || 'Unknown error';
+      alert(
+        `⚠️ Chat Request Failed\n\n` +
+        `Error: ${errorMessage}\n\n` +
+        `Common causes:\n` +
+        `• Invalid values in "Advanced parameters"\n` +
+        `• Insufficient RAM for the selected model\n` +
+        `• Ollama service is not responding\n` +
+        `• The model is not properly loaded\n` +
+        `• Network connection issue\n\n` +
+        `Try:\n` +
+        `• Using a smaller model\n` +
+        `• Restarting Ollama\n` +
+        `• Checking the Ollama endpoints: ${describeOllamaEndpoints()}`
+      );
+
+      // Remove the user message since the request failed
+      finishWithoutAnswer();
+    } finally {
+      setGenerating(false);
+      currentAbortController = null;
+    }
+  }
+
+// Generate another answer to the last user message as a sibling branch
+async function regenerateLastAnswer() {
+    if (isGenerationInProgress()) return;
+
+    const path = getActivePath(conversationTree);
+    const last = path[path.length - 1];
+    if (!last || last.message.role !== 'assistant' || last.parentId === null) return;
+    if (!checkResponseFormat() || !checkRagTemplate() || !checkRetrievalSettings()) return;
+
+    renderConversation(path.slice(0, -1));
+
+    currentAbortController = new AbortController();
+    setGenerating(true);
+    const assistantEntry = createTypingEntry();
+
+    await streamAssistantReply({
+      userNodeId: last.parentId,
+      assistantEntry,
+      removeUserOnFailure: false
+    });
+  }
+
+// Switch to the previous/next sibling branch of a message
+async function switchBranch(nodeId, offset) {
+    if (isGenerationInProgress()) return;
+    if (!selectSibling(conversationTree, nodeId, offset)) return;
+
+    syncMessages();
+    renderConversation();
+    if (currentSessionId) {
+      await saveCurrentSession();
+    }
+  }
+
+// Replace a user message with an inline editor; sending creates a new branch
+function startEditMessage(entry, nodeId) {
+    if (isGenerationInProgress()) return;
+
+    const node = conversationTree.nodes[nodeId];
+    const body = entry.querySelector('.message-body');
+    const actions = entry.querySelector('.message-actions');
+    if (actions) actions.remove();
+
+    const textarea = document.createElement('textarea');
+    textarea.className = 'message-edit-input';
+    textarea.rows = 3;
+    textarea.value = node.message.content;
+
+    const buttons = document.createElement('div');
+    buttons.className = 'message-actions';
+    const sendBtn = document.createElement('button');
+    sendBtn.textContent = '📨 Save & Send';
+    sendBtn.addEventListener('click', () => {
+      const text = textarea.value.trim();
+      if (!text) return;
+      sendPrompt(text, { parentId: node.parentId, images: node.message.images });
+    });
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.addEventListener('click', () => renderConversation());
+    buttons.appendChild(sendBtn);
+    buttons.appendChild(cancelBtn);
+
+    body.innerHTML = '';
+    body.appendChild(textarea);
+    body.appendChild(buttons);
+    textarea.focus();
+  }
+
+// Add branch navigation, edit and regenerate actions to a chat log entry
+function addMessageControls(entry, nodeId) {
+    const node = conversationTree.nodes[nodeId];
+    if (!node) return;
+
+    const bar = document.createElement('div');
+    bar.className = 'message-actions';
+
+    const addButton = (label, title, handler, disabled = false) => {
+      const btn = document.createElement('button');
+      btn.textContent = label;
+      btn.title = title;
+      btn.disabled = disabled;
+      btn.addEventListener('click', handler);
+      bar.appendChild(btn);
+    };
+
+    const { index, count } = getSiblingInfo(conversationTree, nodeId);
+    if (count > 1) {
+      addButton('◀', 'Previous branch', () => switchBranch(nodeId, -1), index === 0);
+      const position = document.createElement('span');
+      position.textContent = `${index + 1}/${count}`;
+      bar.appendChild(position);
+      addButton('▶', 'Next branch', () => switchBranch(nodeId, 1), index === count - 1);
+    }
+
+    if (node.message.role === 'user') {
+      addButton('✏️ Edit', 'Edit this message and resend it as a new branch', () => startEditMessage(entry, nodeId));
+    } else if (node.message.role === 'assistant') {
+      const path = getActivePath(conversationTree);
+      if (path[path.length - 1]?.id === nodeId) {
+        addButton('🔄 Regenerate', 'Generate another answer with the current parameters', () => regenerateLastAnswer());
+      }
+      const params = node.message.parameters;
+      if (params) {
+        bar.title = Object.entries(params)
+          .map(([key, value]) => {
+            if (key === 'format' && typeof value === 'object') return 'format JSON Schema';
+            return `${key} ${Array.isArray(value) ? JSON.stringify(value) : value}`;
+          })
+          .join(' · ');
+      }
+    }
+
+    entry.appendChild(bar);
+  }
+
+// Render the given path of the conversation tree (default: the active branch) into #chat-log
+function renderConversation(path = getActivePath(conversationTree)) {
+    hideCitationPopover();
+    document.getElementById('chat-log').innerHTML = '';
+    let retrievedContext = []; // 直前の質問で検索したチャンク（回答の引用番号と対応する）
+    for (const node of path) {
+      const { message } = node;
+      if (message.role === 'user') {
+        const body = appendMessage('user', message.content, node.id, message.images);
+        retrievedContext = message.retrieved_context || [];
+        if (Array.isArray(message.retrieval_trace?.stages)) {
+          body.insertAdjacentElement('afterend', createRetrievalTraceBlock(message.retrieval_trace));
+        }
+        if (retrievedContext.length > 0) {
+          addRetrievedContextBlock(body, retrievedContext);
+        }
+      } else if (message.role === 'assistant') {
+        const entry = createMessageEntry('assistant', node.id);
+        if (message.parameters?.format && !message.truncated) {
+          renderStructuredOutput(entry, message, retrievedContext);
+        } else {
+          entry.innerHTML = marked.parse(message.content);
+          // 引用マーカーをバッジにする前に、判定結果の文をハイライトする
+          if (message.grounding?.claims) {
+            addGroundingHighlights(entry, message.grounding.claims);
+          }
+          if (retrievedContext.length > 0) {
+            addCitations(entry, message, retrievedContext);
+          }
+          if (message.grounding || groundingInProgress.has(node.id)) {
+            addGroundingNote(entry, message.grounding);
+          }
+        }
+        if (message.thinking) {
+          addReasoningBlock(entry, message.thinking);
+        }
+        for (const round of message.toolRounds || []) {
+          for (const call of round.calls) {
+            const resultEl = addToolCallBlock(entry, call);
+            resultEl.textContent = call.result;
+            resultEl.classList.toggle('tool-call-error', !!call.error);
+          }
+        }
+        if (message.stats) {
+          addGenerationStats(entry, message.stats);
+        }
+        if (message.context) {
+          addContextNote(entry, message.context);
+        }
+        if (message.truncated) {
+          markTruncated(entry);
+        }
+      }
+    }
+    updateContextIndicator();
+  }
+
 function lockParamsUI(lock) {
-    const fields = ['model-select', 'temperature', 'top_p', 'top_k', 'seed', 'system-prompt'];
+    // Sampling parameters stay editable so answers can be regenerated with other values
+    const fields = ['model-select', 'system-prompt'];
     fields.forEach(id => {
         const el = document.getElementById(id);
         el.disabled = lock;
@@ -645,7 +1163,183 @@ function lockParamsUI(lock) {
     });
 }
 
-function appendMessage(role, text) {
+// Toggle Submit/Stop buttons while a response is being generated
+function setGenerating(generating) {
+    document.getElementById('send').classList.toggle('hidden', generating);
+    document.getElementById('stop').classList.toggle('hidden', !generating);
+  }
+
+// Mark an assistant entry as truncated (generation stopped by the user)
+function markTruncated(contentEl) {
+    const note = document.createElement('div');
+    note.className = 'truncated-note';
+    note.textContent = '⏹️ Generation stopped — response truncated';
+    contentEl.insertAdjacentElement('afterend', note);
+  }
+
+/**
+ * Add a collapsible "Reasoning" block above an answer
+ * @param {HTMLElement} contentEl - Message body of the answer
+ * @param {string} text - Thinking output of the model
+ * @param {boolean} open - Expand the block (while the reasoning is streaming)
+ * @returns {HTMLElement} Element holding the reasoning text
+ */
+function addReasoningBlock(contentEl, text = '', open = false) {
+    const details = document.createElement('details');
+    details.className = 'reasoning-block';
+    details.open = open;
+    const summary = document.createElement('summary');
+    summary.textContent = '💭 Reasoning';
+    const body = document.createElement('div');
+    body.className = 'reasoning-content';
+    body.textContent = text;
+    details.appendChild(summary);
+    details.appendChild(body);
+    contentEl.insertAdjacentElement('beforebegin', details);
+    return body;
+  }
+
+/**
+ * Add a collapsible block showing a tool call above an answer
+ * @param {HTMLElement} contentEl - Message body of the answer
+ * @param {Object} call - { name, arguments }
+ * @returns {HTMLElement} Element for the tool result
+ */
+function addToolCallBlock(contentEl, call) {
+    const details = document.createElement('details');
+    details.className = 'tool-call-block';
+    const summary = document.createElement('summary');
+    const args = typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments ?? {});
+    summary.textContent = `🔧 ${call.name}(${args})`;
+    const result = document.createElement('div');
+    result.className = 'tool-call-result';
+    result.textContent = 'Running...';
+    details.appendChild(summary);
+    details.appendChild(result);
+    contentEl.insertAdjacentElement('beforebegin', details);
+    return result;
+  }
+
+/**
+ * Link the [n] citations of an answer to the retrieved chunks and list the sources below it
+ * @param {HTMLElement} contentEl - Message body of the answer (rendered Markdown)
+ * @param {Object} message - Assistant message
+ * @param {Array<Object>} chunks - retrieved_context of the question
+ */
+function addCitations(contentEl, message, chunks) {
+    const citations = linkCitations(contentEl, chunks);
+    // 以前のバージョンの回答には出典一覧が本文に含まれている
+    if (!message.content.includes('📎 Source:')) {
+      contentEl.appendChild(createReferenceList(chunks, citations));
+    }
+  }
+
+/**
+ * Render a structured-output answer as pretty-printed JSON
+ * The answer is parsed and, when a JSON Schema was requested, validated
+ * against it; the result is shown in a note below the answer.
+ * @param {HTMLElement} contentEl - Message body of the answer
+ * @param {Object} message - Assistant message (content, parameters.format)
+ * @param {Array<Object>} chunks - retrieved_context of the question
+ */
+function renderStructuredOutput(contentEl, message, chunks = []) {
+    const { format } = message.parameters;
+    const note = document.createElement('div');
+    note.className = 'format-check';
+
+    let value;
+    try {
+      value = JSON.parse(message.content);
+    } catch (error) {
+      contentEl.innerHTML = marked.parse(message.content);
+      note.classList.add('format-check-error');
+      note.textContent = `⚠️ Invalid JSON: ${error.message}`;
+      contentEl.insertAdjacentElement('afterend', note);
+      return;
+    }
+
+    const pre = document.createElement('pre');
+    const code = document.createElement('code');
+    code.className = 'language-json';
+    code.textContent = JSON.stringify(value, null, 2);
+    pre.appendChild(code);
+    contentEl.innerHTML = '';
+    contentEl.appendChild(pre);
+
+    // JSONの中の引用番号はバッジにせず、出典一覧だけを表示する
+    if (chunks.length > 0) {
+      contentEl.appendChild(createReferenceList(chunks));
+    }
+
+    if (typeof format === 'object') {
+      const errors = validateJsonSchema(value, format);
+      if (errors.length > 0) {
+        note.classList.add('format-check-error');
+        note.textContent = `⚠️ Does not match the schema:\n${errors.slice(0, 10).map(e => `• ${e}`).join('\n')}`;
+      } else {
+        note.textContent = '✅ Valid JSON · matches the schema';
+      }
+    } else {
+      note.textContent = '✅ Valid JSON';
+    }
+    contentEl.insertAdjacentElement('afterend', note);
+  }
+
+/**
+ * Add a collapsible block with the chunks retrieved for a RAG question
+ * @param {HTMLElement} contentEl - Message body of the question
+ * @param {Array<Object>} chunks - retrieved_context of the message
+ */
+function addRetrievedContextBlock(contentEl, chunks) {
+    const details = document.createElement('details');
+    details.className = 'retrieved-context-block';
+    const summary = document.createElement('summary');
+    summary.textContent = `📚 Retrieved context (${chunks.length} ${chunks.length === 1 ? 'chunk' : 'chunks'})`;
+    details.appendChild(summary);
+
+    for (const chunk of chunks) {
+      const item = document.createElement('div');
+      item.className = 'retrieved-chunk';
+      const label = document.createElement('div');
+      label.className = 'retrieved-chunk-source';
+      label.textContent = formatSourceList([chunk]).replace(/^・/, '');
+      const text = document.createElement('div');
+      text.className = 'retrieved-chunk-text';
+      text.textContent = chunk.content;
+      item.appendChild(label);
+      item.appendChild(text);
+      details.appendChild(item);
+    }
+
+    contentEl.insertAdjacentElement('afterend', details);
+  }
+
+// Explain under an answer which earlier messages were left out to fit the context window
+function addContextNote(contentEl, context) {
+    const parts = [];
+    if (context.droppedCount > 0) {
+      parts.push(context.summarised
+        ? `${context.droppedCount} earlier messages were summarised`
+        : `${context.droppedCount} earlier messages were not sent`);
+    }
+    if (context.strippedCount > 0) {
+      parts.push(`RAG context was removed from ${context.strippedCount} earlier questions`);
+    }
+    const note = document.createElement('div');
+    note.className = 'context-note';
+    note.textContent = `🧠 ${parts.join(', ')} to fit the context window (num_ctx ${context.numCtx})`;
+    contentEl.insertAdjacentElement('afterend', note);
+  }
+
+// Show tokens/sec, prompt tokens, time-to-first-token and load time under an answer
+function addGenerationStats(contentEl, stats) {
+    const line = document.createElement('div');
+    line.className = 'message-stats';
+    line.textContent = formatGenerationStats(stats);
+    contentEl.insertAdjacentElement('afterend', line);
+  }
+
+function appendMessage(role, text, nodeId = null, images = []) {
     const log = document.getElementById('chat-log');
     const entry = document.createElement('div');
     entry.className = role; // ← class名でスタイル適用
@@ -653,24 +1347,36 @@ function appendMessage(role, text) {
     const strong = document.createElement('strong');
     strong.textContent = `${role === 'user' ? '🧑‍💻 User' : '🤖 Assistant'}:`;
     const content = document.createElement('div');
+    content.className = 'message-body';
     content.textContent = text;
   
     entry.appendChild(strong);
+    if (images?.length > 0) {
+      entry.appendChild(createImageThumbnails(images));
+    }
     entry.appendChild(content);
+    if (nodeId !== null) {
+      addMessageControls(entry, nodeId);
+    }
     log.appendChild(entry);
     log.scrollTop = log.scrollHeight;
+    return content;
   }
 
-function createMessageEntry(role) {
+function createMessageEntry(role, nodeId = null) {
     const log = document.getElementById('chat-log');
     const entry = document.createElement('div');
     entry.className = role; 
     const strong = document.createElement('strong');
     strong.textContent = `${role === 'user' ? '🧑‍💻 User' : '🤖 Assistant'}:`;
     const content = document.createElement('div');
+    content.className = 'message-body';
     
     entry.appendChild(strong);
     entry.appendChild(content);
+    if (nodeId !== null) {
+      addMessageControls(entry, nodeId);
+    }
 
     log.appendChild(entry);
     log.scrollTop = log.scrollHeight;
@@ -678,29 +1384,1557 @@ function createMessageEntry(role) {
     return content;
 }
 
+// Switching conversations while a response is streaming would mix up the histories
+function isGenerationInProgress() {
+    if (currentAbortController) {
+      alert('A response is still being generated. Please stop it or wait until it finishes.');
+      return true;
+    }
+    return false;
+  }
+
 function resetChat() {
+    if (isGenerationInProgress()) return;
+    conversationTree = createTree();
     messages = [];
     isChatActive = false;
+    currentSessionId = null;
     lockParamsUI(false);
     document.getElementById('chat-log').innerHTML = '';
     document.getElementById('prompt').value = '';
+    refreshSessionList();
   }
 
 window.resetChat = resetChat;
 
-function exportChat() {
-    const systemPrompt = document.getElementById('system-prompt').value;
-    const model = document.getElementById('model-select').value;
-    const temperature = parseFloat(document.getElementById('temperature').value);
-    const top_p = parseFloat(document.getElementById('top_p').value);
-    const top_k = parseInt(document.getElementById('top_k').value);
-    const seed = parseInt(document.getElementById('seed').value);
-  
-    const data = {
+// オプション名と入力欄のidが異なるもの（"stop" は停止ボタンのid）
+const OPTION_INPUT_IDS = { stop: 'stop-sequences' };
+
+// Input element of an option in the "Advanced parameters" section
+function getOptionInput(key) {
+  return document.getElementById(OPTION_INPUT_IDS[key] || key);
+}
+
+// Read the "Advanced parameters" section; empty fields are left out so Ollama uses the model default
+function getAdvancedParameters() {
+    const parameters = {};
+
+    for (const key of ADVANCED_OPTION_KEYS) {
+      const value = getOptionInput(key).value.trim();
+      if (value === '') continue;
+
+      if (key === 'stop') {
+        const sequences = value.split('\n').filter(line => line !== '');
+        if (sequences.length > 0) parameters.stop = sequences;
+      } else {
+        parameters[key] = Number(value);
+      }
+    }
+
+    const keepAlive = document.getElementById('keep_alive').value.trim();
+    if (keepAlive !== '') {
+      // 数値だけの場合は秒数として送る
+      parameters.keep_alive = /^-?\d+$/.test(keepAlive) ? Number(keepAlive) : keepAlive;
+    }
+
+    return parameters;
+  }
+
+/**
+ * Read the "Response format" setting
+ * @returns {{format: (string|Object|undefined), error: (string|null)}} format is "json",
+ *   a JSON Schema object or undefined for plain text; error is set if the schema cannot be parsed
+ */
+function getResponseFormat() {
+    const mode = document.getElementById('response-format').value;
+    if (mode === 'json') {
+      return { format: 'json', error: null };
+    }
+    if (mode !== 'schema') {
+      return { format: undefined, error: null };
+    }
+
+    const text = document.getElementById('response-schema').value.trim();
+    if (!text) {
+      return { format: undefined, error: 'The JSON Schema is empty.' };
+    }
+    try {
+      const schema = JSON.parse(text);
+      if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+        return { format: undefined, error: 'The JSON Schema must be a JSON object.' };
+      }
+      return { format: schema, error: null };
+    } catch (error) {
+      return { format: undefined, error: `The JSON Schema is not valid JSON: ${error.message}` };
+    }
+  }
+
+// Alert the user and return false if the response format cannot be used
+function checkResponseFormat() {
+    const { error } = getResponseFormat();
+    if (error) {
+      alert(`⚠️ Invalid Response Format\n\n${error}\n\nFix the schema or switch the response format to "Plain text".`);
+      return false;
+    }
+    return true;
+  }
+
+// Alert the user and return false if the RAG prompt template cannot be used
+function checkRagTemplate() {
+    const { template } = getChatSettings().ragSettings;
+    const error = template ? validateRagTemplate(template) : null;
+    if (error) {
+      alert(`⚠️ Invalid RAG Prompt Template\n\n${error}\n\nFix the template in the RAG settings or clear it to use the default.`);
+      return false;
+    }
+    return true;
+  }
+
+// Alert the user and return false if a retrieval parameter is out of range
+function checkRetrievalSettings() {
+    const { errors } = validateRetrievalSettings(getChatSettings().ragSettings.retrieval);
+    if (errors.length > 0) {
+      alert(`⚠️ Invalid Retrieval Parameters\n\n${errors.map(e => `• ${e}`).join('\n')}\n\nFix the values in the RAG settings.`);
+      return false;
+    }
+    return true;
+  }
+
+// Input elements of the "Retrieval parameters" section (keys of retrieval-settings.js)
+const RETRIEVAL_INPUTS = {
+  topK: 'rag-top-k',
+  maxContextTokens: 'rag-max-context-tokens',
+  minSimilarity: 'rag-min-similarity',
+  minKeywordMatches: 'rag-min-keyword-matches',
+  hybridEmbeddingWeight: 'rag-hybrid-embedding-weight',
+  hybridFullTextWeight: 'rag-hybrid-fulltext-weight',
+  graphSeedEntities: 'rag-graph-seed-entities',
+  graphRelatedEntities: 'rag-graph-related-entities'
+};
+
+// Read the retrieval parameters from the UI (empty fields become NaN and use the default)
+function getRetrievalSettings() {
+    return Object.fromEntries(Object.entries(RETRIEVAL_INPUTS).map(([key, id]) =>
+      [key, parseFloat(document.getElementById(id).value)]));
+  }
+
+// Show retrieval parameters in the UI (invalid or missing values are replaced by the defaults)
+function setRetrievalSettings(retrieval) {
+    const { settings } = validateRetrievalSettings(retrieval);
+    for (const [key, id] of Object.entries(RETRIEVAL_INPUTS)) {
+      document.getElementById(id).value = settings[key];
+    }
+  }
+
+// Show the schema editor only for the "JSON Schema" response format
+function updateResponseFormatUI() {
+    const isSchema = document.getElementById('response-format').value === 'schema';
+    document.getElementById('response-schema').classList.toggle('hidden', !isSchema);
+  }
+
+// Collect model, system prompt, parameters and RAG settings from the UI
+function getChatSettings() {
+    const { format } = getResponseFormat();
+    return {
+      model: document.getElementById('model-select').value,
+      systemPrompt: document.getElementById('system-prompt').value,
+      parameters: {
+        temperature: parseFloat(document.getElementById('temperature').value),
+        top_p: parseFloat(document.getElementById('top_p').value),
+        top_k: parseInt(document.getElementById('top_k').value),
+        seed: parseInt(document.getElementById('seed').value),
+        think: document.getElementById('think-checkbox').checked,
+        useTools: document.getElementById('tools-checkbox').checked,
+        contextStrategy: document.getElementById('context-strategy').value,
+        ...getAdvancedParameters(),
+        ...(format !== undefined && { format })
+      },
+      ragSettings: {
+        useChunkRAG: document.getElementById('use-rag-checkbox').checked,
+        useGraphRAG: document.getElementById('use-graphrag-checkbox').checked,
+        mode: document.querySelector('input[name="rag-mode"]:checked').value,
+        template: document.getElementById('rag-template').value.trim(),
+        groundingCheck: document.getElementById('grounding-check').value,
+        retrieval: getRetrievalSettings()
+      }
+    };
+  }
+
+// /chat-stream に送るパラメータ（OPTION_SPECS 以外で validateChatOptions() が受け付けるキー）
+const REQUEST_PARAMETER_KEYS = ['keep_alive', 'format'];
+
+/**
+ * Pick the parameters of a /chat-stream request from the chat settings
+ * useTools and contextStrategy only control the UI and stay in the session settings.
+ * think: false is sent only to models with the "thinking" capability, so that models
+ * that reason by default (qwen3, deepseek-r1, ...) stop reasoning when the box is unchecked.
+ * @param {Object} parameters - parameters of getChatSettings()
+ * @param {Array<string>|null} capabilities - Capabilities of the model (getModelCapabilities())
+ * @returns {Object} Ollama options, keep_alive, format and think
+ */
+function toChatStreamParameters(parameters, capabilities) {
+    const body = Object.fromEntries(Object.entries(parameters)
+      .filter(([key]) => Object.hasOwn(OPTION_SPECS, key) || REQUEST_PARAMETER_KEYS.includes(key)));
+    if (parameters.think) {
+      body.think = true;
+    } else if (capabilities?.includes('thinking')) {
+      body.think = false;
+    }
+    return body;
+  }
+
+// Restore settings collected by getChatSettings() into the UI
+function applyChatSettings({ model, systemPrompt = '', parameters = {}, ragSettings = {} }) {
+    const modelSelect = document.getElementById('model-select');
+    if (model && Array.from(modelSelect.options).some(option => option.value === model)) {
+      modelSelect.value = model;
+    } else if (model) {
+      console.warn(`[WARN] Model "${model}" is not installed, keeping current selection`);
+    }
+
+    document.getElementById('system-prompt').value = systemPrompt;
+
+    for (const key of ['temperature', 'top_p', 'top_k', 'seed']) {
+      if (parameters[key] !== undefined && parameters[key] !== null && !Number.isNaN(parameters[key])) {
+        document.getElementById(key).value = parameters[key];
+      }
+    }
+
+    document.getElementById('think-checkbox').checked = !!parameters.think;
+    document.getElementById('tools-checkbox').checked = !!parameters.useTools;
+    document.getElementById('context-strategy').value =
+      CONTEXT_STRATEGIES[parameters.contextStrategy] ? parameters.contextStrategy : DEFAULT_CONTEXT_STRATEGY;
+
+    const formatSelect = document.getElementById('response-format');
+    if (parameters.format && typeof parameters.format === 'object') {
+      formatSelect.value = 'schema';
+      document.getElementById('response-schema').value = JSON.stringify(parameters.format, null, 2);
+    } else {
+      formatSelect.value = parameters.format === 'json' ? 'json' : 'plain';
+    }
+    updateResponseFormatUI();
+
+    // 保存されていない詳細パラメータは空（モデルのデフォルト）に戻す
+    for (const key of [...ADVANCED_OPTION_KEYS, 'keep_alive']) {
+      const value = parameters[key];
+      if (value === undefined || value === null || Number.isNaN(value)) {
+        getOptionInput(key).value = '';
+      } else {
+        getOptionInput(key).value = Array.isArray(value) ? value.join('\n') : value;
+      }
+    }
+    const hasAdvanced = [...ADVANCED_OPTION_KEYS, 'keep_alive'].some(key => getOptionInput(key).value !== '');
+    if (hasAdvanced) {
+      document.getElementById('advanced-params').open = true;
+    }
+
+    document.getElementById('use-rag-checkbox').checked = !!ragSettings.useChunkRAG;
+    document.getElementById('use-graphrag-checkbox').checked = !!ragSettings.useGraphRAG;
+    const modeRadio = document.querySelector(`input[name="rag-mode"][value="${ragSettings.mode || 'embedding'}"]`);
+    if (modeRadio) {
+      modeRadio.checked = true;
+    }
+    document.getElementById('rag-template').value = ragSettings.template || '';
+    document.getElementById('grounding-check').value =
+      GROUNDING_METHODS[ragSettings.groundingCheck] ? ragSettings.groundingCheck : 'off';
+
+    // 古いセッションやプリセットには検索パラメータがないため、デフォルトに戻す
+    setRetrievalSettings(ragSettings.retrieval);
+    const defaults = getDefaultRetrievalSettings();
+    const current = getRetrievalSettings();
+    if (Object.keys(RETRIEVAL_INPUTS).some(key => current[key] !== defaults[key])) {
+      document.getElementById('retrieval-params').open = true;
+    }
+  }
+
+// ==========================================
+// Ollama Connection
+// ==========================================
+
+// 保存済みのエンドポイント（loadOllamaConnection()で更新）とその状態
+let ollamaEndpoints = [];
+let ollamaHealth = [];
+
+const HEALTH_ICONS = { online: '🟢', offline: '🔴', unknown: '⚪' };
+
+const HEALTH_LABELS = {
+  online: '🟢 Online',
+  offline: '🔴 Offline',
+  unknown: '⚪ Not checked yet'
+};
+
+/**
+ * Describe the saved endpoints for error messages
+ * @returns {string} e.g. "Local (http://localhost:11434), Workstation (http://192.168.0.10:11434)"
+ */
+function describeOllamaEndpoints() {
+  return ollamaEndpoints.map(endpoint => `${endpoint.name} (${endpoint.baseUrl})`).join(', ');
+}
+
+/**
+ * Parse the custom headers field
+ * @param {string} text - One "Name: value" per line (empty lines are ignored)
+ * @returns {{headers: Object, errors: Array<string>}}
+ */
+function parseHeaderLines(text) {
+  const headers = {};
+  const errors = [];
+  text.split('\n').forEach((line, index) => {
+    if (!line.trim()) return;
+    const separator = line.indexOf(':');
+    if (separator <= 0) {
+      errors.push(`Line ${index + 1}: expected "Name: value"`);
+      return;
+    }
+    headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+  });
+  return { headers, errors };
+}
+
+function createEndpointField(label, input, title) {
+  const field = document.createElement('label');
+  field.className = 'text-xs flex flex-col gap-1';
+  field.title = title;
+  field.appendChild(document.createTextNode(label));
+  input.className = 'bg-gray-700 text-white p-1 rounded text-sm' + (input.tagName === 'TEXTAREA' ? ' font-mono' : '');
+  field.appendChild(input);
+  return field;
+}
+
+function createEndpointButton(text, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'bg-gray-600 hover:bg-gray-500 px-2 py-1 rounded text-xs';
+  button.textContent = text;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * Add a card with the settings of one endpoint to the endpoint list
+ * @param {Object} endpoint - { id, name, baseUrl, token, headers }; id is empty for a new endpoint
+ */
+function addEndpointCard(endpoint = {}) {
+  const card = document.createElement('div');
+  card.className = 'ollama-endpoint p-2 bg-gray-800 rounded border border-gray-600 flex flex-col gap-1';
+  card.dataset.id = endpoint.id || '';
+
+  const header = document.createElement('div');
+  header.className = 'flex gap-1 items-center';
+  const name = document.createElement('input');
+  name.type = 'text';
+  name.className = 'endpoint-name flex-1 min-w-0 bg-gray-700 text-white p-1 rounded text-sm';
+  name.placeholder = 'Name, e.g. Workstation';
+  name.value = endpoint.name || '';
+  header.appendChild(name);
+  header.appendChild(createEndpointButton('▲', 'Move up (endpoints are tried in this order)', () => {
+    if (card.previousElementSibling) card.parentElement.insertBefore(card, card.previousElementSibling);
+  }));
+  header.appendChild(createEndpointButton('🔌', 'Test the settings of this endpoint without saving them', () => testEndpointCard(card)));
+  header.appendChild(createEndpointButton('🗑️', 'Remove this endpoint (takes effect when saved)', () => card.remove()));
+  card.appendChild(header);
+
+  const baseUrl = document.createElement('input');
+  baseUrl.type = 'text';
+  baseUrl.placeholder = 'http://localhost:11434';
+  baseUrl.value = endpoint.baseUrl || '';
+  card.appendChild(createEndpointField('Base URL', baseUrl,
+    'URL of the Ollama server, e.g. http://localhost:11434 or https://ollama.example.com'));
+  baseUrl.classList.add('endpoint-base-url');
+
+  const token = document.createElement('input');
+  token.type = 'password';
+  token.placeholder = 'None';
+  token.autocomplete = 'off';
+  token.value = endpoint.token || '';
+  card.appendChild(createEndpointField('Bearer token (optional)', token,
+    'Sent as "Authorization: Bearer <token>" (e.g. for Ollama behind a reverse proxy)'));
+  token.classList.add('endpoint-token');
+
+  const headers = document.createElement('textarea');
+  headers.rows = 2;
+  headers.placeholder = 'X-Team: research';
+  headers.value = Object.entries(endpoint.headers || {})
+    .map(([headerName, value]) => `${headerName}: ${value}`)
+    .join('\n');
+  card.appendChild(createEndpointField('Custom headers (optional)', headers,
+    'Additional headers sent with every request to this endpoint, one "Name: value" per line'));
+  headers.classList.add('endpoint-headers');
+
+  const status = document.createElement('div');
+  status.className = 'endpoint-status text-xs text-gray-400';
+  card.appendChild(status);
+
+  document.getElementById('ollama-endpoint-list').appendChild(card);
+  showEndpointHealth(card);
+}
+
+/**
+ * Read the settings of an endpoint card
+ * @param {HTMLElement} card - Endpoint card
+ * @returns {{endpoint: Object, errors: Array<string>}}
+ */
+function getEndpointCardSettings(card) {
+  const name = card.querySelector('.endpoint-name').value;
+  const { headers, errors } = parseHeaderLines(card.querySelector('.endpoint-headers').value);
+  return {
+    endpoint: {
+      ...(card.dataset.id && { id: card.dataset.id }),
+      name,
+      baseUrl: card.querySelector('.endpoint-base-url').value,
+      token: card.querySelector('.endpoint-token').value,
+      headers
+    },
+    errors: errors.map(error => `${name || 'Unnamed endpoint'}: custom headers, ${error}`)
+  };
+}
+
+// Show the health of a saved endpoint on its card
+function showEndpointHealth(card) {
+  const status = card.querySelector('.endpoint-status');
+  const state = ollamaHealth.find(endpoint => endpoint.id === card.dataset.id);
+  if (!state) {
+    status.textContent = card.dataset.id ? HEALTH_LABELS.unknown : 'Not saved yet';
+    return;
+  }
+  const details = state.status === 'online'
+    ? ` · Ollama ${state.version}, ${state.modelCount} ${state.modelCount === 1 ? 'model' : 'models'}, ${state.latencyMs} ms`
+    : state.error ? ` · ${state.error}` : '';
+  status.textContent = `${HEALTH_LABELS[state.status] || state.status}${details}`;
+  status.title = state.checkedAt ? `Checked at ${new Date(state.checkedAt).toLocaleTimeString()}` : '';
+}
+
+/**
+ * Show the health of the endpoints (cards and summary)
+ * @param {Array<Object>} healthList - Result of getOllamaHealth()
+ */
+function showOllamaHealth(healthList) {
+  ollamaHealth = healthList;
+  document.querySelectorAll('#ollama-endpoint-list .ollama-endpoint').forEach(showEndpointHealth);
+
+  const online = healthList.filter(endpoint => endpoint.status === 'online').length;
+  const summary = document.getElementById('ollama-connection-summary');
+  summary.textContent = healthList.length === 1
+    ? `${healthList[0].baseUrl} ${HEALTH_ICONS[healthList[0].status] || ''}`
+    : `${online}/${healthList.length} online`;
+  summary.title = healthList.map(endpoint => `${endpoint.name}: ${endpoint.status}`).join('\n');
+}
+
+function showOllamaConnection(connection) {
+  ollamaEndpoints = connection.endpoints;
+  const list = document.getElementById('ollama-endpoint-list');
+  list.innerHTML = '';
+  connection.endpoints.forEach(endpoint => addEndpointCard(endpoint));
+  showOllamaHealth(ollamaHealth);
+}
+
+// Show the saved endpoints and their health, and follow health changes
+async function loadOllamaConnection() {
+  try {
+    showOllamaConnection(await window.electronAPI.getOllamaConnection());
+    showOllamaHealth(await window.electronAPI.getOllamaHealth());
+    window.electronAPI.onOllamaHealth(showOllamaHealth);
+  } catch (error) {
+    console.error('[ERROR] Failed to load Ollama connection settings:', error);
+  }
+}
+
+// Test the settings of one card without saving them
+async function testEndpointCard(card) {
+  const { endpoint, errors } = getEndpointCardSettings(card);
+  if (errors.length > 0) {
+    alert(`⚠️ Invalid Custom Headers\n\n${errors.join('\n')}`);
+    return;
+  }
+
+  const status = card.querySelector('.endpoint-status');
+  status.textContent = 'Connecting...';
+  const result = await window.electronAPI.testOllamaConnection(endpoint);
+  status.textContent = result.ok
+    ? `✅ Connected: Ollama ${result.version}, ${result.modelCount} ${result.modelCount === 1 ? 'model' : 'models'}, ${result.latencyMs} ms`
+    : `❌ ${result.error}`;
+}
+
+// Check all saved endpoints now
+async function checkOllamaHealthNow() {
+  const status = document.getElementById('ollama-connection-status');
+  status.textContent = 'Checking...';
+  showOllamaHealth(await window.electronAPI.checkOllamaHealth());
+  status.textContent = '';
+  await loadModels();
+}
+
+// Save the endpoints and reload the model lists from them
+async function saveOllamaConnectionForm() {
+  const cards = [...document.querySelectorAll('#ollama-endpoint-list .ollama-endpoint')];
+  const settings = cards.map(getEndpointCardSettings);
+  const headerErrors = settings.flatMap(({ errors }) => errors);
+  if (headerErrors.length > 0) {
+    alert(`⚠️ Invalid Custom Headers\n\n${headerErrors.join('\n')}`);
+    return;
+  }
+
+  const result = await window.electronAPI.setOllamaConnection({ endpoints: settings.map(({ endpoint }) => endpoint) });
+  if (!result.success) {
+    alert(`⚠️ Invalid Ollama Endpoints\n\n${result.errors.join('\n')}`);
+    return;
+  }
+  showOllamaConnection(result.connection);
+  document.getElementById('ollama-connection-status').textContent = '💾 Saved';
+  showOllamaHealth(await window.electronAPI.checkOllamaHealth());
+  await loadModels();
+}
+
+// ==========================================
+// Context Window
+// ==========================================
+
+// 要約の最大トークン数（要約を含めた履歴がnum_ctxに収まるよう予約する）
+const SUMMARY_MAX_TOKENS = 512;
+
+const SUMMARY_SYSTEM_PROMPT =
+  'You summarise conversations between a user and an assistant. ' +
+  'Write a concise summary that keeps the facts, decisions, names, numbers and open questions ' +
+  'needed to continue the conversation. Write in the language of the conversation. Output only the summary.';
+
+/**
+ * Get the context window Ollama uses for a request
+ * num_ctx from "Advanced parameters" wins over the Modelfile's num_ctx and Ollama's default;
+ * the result is capped at the model's trained context length.
+ * @param {string} model - Model name
+ * @param {Object} parameters - Chat parameters (num_ctx)
+ * @returns {Promise<{numCtx: number, contextLength: (number|null)}>}
+ */
+async function getContextWindowSize(model, parameters) {
+    const info = await getModelInfo(model);
+    let numCtx = Number.isFinite(parameters.num_ctx) ? parameters.num_ctx : (info?.numCtx || DEFAULT_NUM_CTX);
+    if (info?.contextLength) {
+      numCtx = Math.min(numCtx, info.contextLength);
+    }
+    return { numCtx, contextLength: info?.contextLength ?? null };
+  }
+
+/**
+ * Build the history for a request so that it fits into the context window
+ * @param {Array<Object>} path - Tree nodes from the root to the user message being answered
+ * @param {Object} options - { model, parameters, ragSettings, tools, port, signal }
+ * @returns {Promise<{history: Array<Object>, context: (Object|null)}>} Messages for Ollama and,
+ *   if the history was shortened, what was left out (stored with the answer)
+ */
+async function prepareHistory(path, { model, parameters, ragSettings, tools, port, signal }) {
+    const messages = path.map(node => node.message);
+    const { numCtx } = await getContextWindowSize(model, parameters);
+    const budget = getInputBudget(numCtx, parameters.num_predict);
+    const strategy = CONTEXT_STRATEGIES[parameters.contextStrategy] ? parameters.contextStrategy : DEFAULT_CONTEXT_STRATEGY;
+    const toolTokens = tools.length > 0 ? estimateTokens(JSON.stringify(tools)) : 0;
+
+    let fitted = fitToContextWindow(messages, { budget, strategy, reservedTokens: toolTokens });
+    let summary = null;
+
+    if (strategy === 'summarise-oldest' && fitted.droppedCount > 0) {
+      // 要約の分だけ余裕を持たせて、落とすターンを決め直す
+      fitted = fitToContextWindow(messages, { budget, strategy, reservedTokens: toolTokens + SUMMARY_MAX_TOKENS });
+      const droppedNodes = path.filter(node => fitted.dropped.includes(node.message));
+      summary = await summariseHistory(droppedNodes, { model, parameters, port, signal, budget });
+    }
+
+    if (!fitted.fits) {
+      console.warn(`[WARN] The last message alone (~${fitted.tokens} tokens) exceeds the context budget of ${budget} tokens`);
+    }
+
+    let outgoing = fitted.messages;
+    if (summary) {
+      const systemCount = outgoing.findIndex(message => message.role !== 'system');
+      outgoing = [
+        ...outgoing.slice(0, systemCount),
+        { role: 'system', content: `Summary of the earlier conversation:\n${summary}` },
+        ...outgoing.slice(systemCount)
+      ];
+    }
+
+    const trimmed = fitted.droppedCount > 0 || fitted.strippedCount > 0;
+    if (trimmed) {
+      console.log(`[INFO] Context window (${numCtx}): ${fitted.droppedCount} messages dropped, ` +
+        `${fitted.strippedCount} RAG contexts removed, strategy ${strategy}`);
+    }
+
+    return {
+      history: toOllamaMessages(outgoing, ragSettings.template),
+      context: trimmed
+        ? { strategy, numCtx, droppedCount: fitted.droppedCount, strippedCount: fitted.strippedCount, summarised: !!summary }
+        : null
+    };
+  }
+
+/**
+ * Summarise the messages that no longer fit into the context window
+ * The summary is stored on the last summarised message, so later requests only
+ * summarise the messages added since then. Long histories are summarised in
+ * batches that fit into the context window themselves.
+ * @param {Array<Object>} nodes - Dropped tree nodes (oldest first)
+ * @param {Object} options - { model, parameters, port, signal, budget }
+ * @returns {Promise<string>} Summary
+ */
+async function summariseHistory(nodes, { model, parameters, port, signal, budget }) {
+    let summary = '';
+    let start = 0;
+    for (let i = nodes.length - 1; i >= 0; i--) {
+      if (nodes[i].message.summary) {
+        summary = nodes[i].message.summary;
+        start = i + 1;
+        break;
+      }
+    }
+
+    const remaining = nodes.slice(start).filter(node => node.message.role !== 'system');
+    if (remaining.length === 0) {
+      return summary;
+    }
+
+    const batchBudget = Math.floor((budget - SUMMARY_MAX_TOKENS) / 2);
+    let batch = [];
+    let batchTokens = 0;
+    const flush = async () => {
+      summary = await requestSummary(summary, batch, { model, parameters, port, signal });
+      batch = [];
+      batchTokens = 0;
+    };
+
+    for (const node of remaining) {
+      const { role, content } = node.message;
+      // RAGの検索結果（retrieved_context）は要約に含めず、質問だけを使う
+      const line = `${role === 'user' ? 'User' : 'Assistant'}: ${content}`.substring(0, batchBudget * CHARS_PER_TOKEN);
+      const tokens = estimateTokens(line);
+      if (batch.length > 0 && batchTokens + tokens > batchBudget) {
+        await flush();
+      }
+      batch.push(line);
+      batchTokens += tokens;
+    }
+    await flush();
+
+    nodes[nodes.length - 1].message.summary = summary;
+    console.log(`[INFO] Summarised ${remaining.length} earlier messages (${summary.length} chars)`);
+    return summary;
+  }
+
+/**
+ * Ask the chat model to summarise part of the conversation
+ * @param {string} previousSummary - Summary of the messages before these lines ('' for none)
+ * @param {Array<string>} lines - "User: ..." / "Assistant: ..." lines
+ * @param {Object} options - { model, parameters, port, signal }
+ * @returns {Promise<string>} Updated summary
+ */
+async function requestSummary(previousSummary, lines, { model, parameters, port, signal }) {
+    const res = await fetch(`http://localhost:${port}/chat-stream`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      signal,
+      body: JSON.stringify({
+        model,
+        messages: [
+          { role: 'system', content: SUMMARY_SYSTEM_PROMPT },
+          {
+            role: 'user',
+            content: (previousSummary ? `Summary so far:\n${previousSummary}\n\n` : '') +
+              `Conversation to summarise:\n${lines.join('\n\n')}`
+          }
+        ],
+        temperature: 0.2,
+        num_predict: SUMMARY_MAX_TOKENS,
+        ...(Number.isFinite(parameters.num_ctx) && { num_ctx: parameters.num_ctx })
+      })
+    });
+
+    if (!res.ok) {
+      throw new Error(`Summary request failed (${res.status}): ${await res.text()}`);
+    }
+
+    let summary = '';
+    let streamError = null;
+    await readChatStream(res, (event) => {
+      if (event.type === 'content') summary += event.content;
+      if (event.type === 'error') streamError = event.error;
+    });
+    if (streamError) {
+      throw new Error(`Summary request failed: ${streamError}`);
+    }
+    return summary.trim();
+  }
+
+// Show how much of the context window the next request would use
+async function updateContextIndicator() {
+    const indicator = document.getElementById('context-indicator');
+    const { model, parameters } = getChatSettings();
+    if (!model) {
+      indicator.classList.add('hidden');
+      return;
+    }
+
+    const { numCtx } = await getContextWindowSize(model, parameters);
+    const budget = getInputBudget(numCtx, parameters.num_predict);
+    const promptText = document.getElementById('prompt').value;
+    let tokens = getActivePath(conversationTree).reduce((total, node) => total + estimateMessageTokens(node.message), 0);
+    tokens += promptText ? estimateMessageTokens({ content: promptText, images: pendingImages }) : 0;
+    if (parameters.useTools) {
+      tokens += estimateTokens(JSON.stringify(getToolDefinitions()));
+    }
+
+    const percent = Math.round((tokens / budget) * 100);
+    indicator.classList.remove('hidden');
+    indicator.classList.toggle('context-warn', percent >= 75 && percent <= 100);
+    indicator.classList.toggle('context-full', percent > 100);
+    indicator.querySelector('.context-bar-fill').style.width = `${Math.min(percent, 100)}%`;
+
+    let label = `🧠 Context: ~${tokens.toLocaleString()} / ${budget.toLocaleString()} tokens (${percent}%) · num_ctx ${numCtx.toLocaleString()}`;
+    if (percent > 100) {
+      const action = {
+        'sliding-window': 'the oldest turns will be dropped',
+        'summarise-oldest': 'the oldest turns will be summarised',
+        'drop-rag-context': 'RAG context of old turns will be removed'
+      }[parameters.contextStrategy] || 'the oldest turns will be dropped';
+      label += ` — ${action}`;
+    }
+    indicator.querySelector('.context-label').textContent = label;
+    indicator.title = 'Estimated from the text length (about 4 characters per token). ' +
+      `${(numCtx - budget).toLocaleString()} tokens are reserved for the answer.`;
+  }
+
+// ==========================================
+// Grounding Check
+// ==========================================
+
+// Assistant nodes whose grounding check is still running
+const groundingInProgress = new Set();
+
+const GROUNDING_LABELS = {
+  supported: 'Supported',
+  partial: 'Partially supported',
+  unsupported: 'Not supported by the retrieved context'
+};
+
+/**
+ * Split an answer into the sentences to check
+ * The Markdown is rendered first so that the sentences match the text shown
+ * in the chat; code blocks and headings are skipped.
+ * @param {string} content - Answer (Markdown)
+ * @returns {Array<string>} Claims
+ */
+function extractAnswerClaims(content) {
+    const container = document.createElement('div');
+    container.innerHTML = marked.parse(content);
+    const blocks = Array.from(container.querySelectorAll('p, li, td, blockquote'))
+      .filter(block => !block.closest('pre') && !block.querySelector('p, li, td, blockquote, pre'));
+    return blocks.flatMap(block => splitIntoClaims(block.textContent)).slice(0, MAX_CLAIMS);
+  }
+
+/**
+ * Check which sentences of an answer are supported by the chunks retrieved for its question
+ * The result is stored as message.grounding and shown as highlights in the chat.
+ * @param {number} nodeId - Tree node of the assistant message
+ * @param {Object} options - { method: 'embedding'|'llm', model: judge model }
+ */
+async function runGroundingCheck(nodeId, { method, model }) {
+    const tree = conversationTree;
+    const node = tree.nodes[nodeId];
+    const chunks = tree.nodes[node?.parentId]?.message.retrieved_context || [];
+    if (!node || chunks.length === 0) return;
+
+    const claims = extractAnswerClaims(node.message.content);
+    if (claims.length === 0) return;
+
+    groundingInProgress.add(nodeId);
+    renderConversation();
+
+    let grounding;
+    try {
+      const results = await window.electronAPI.checkGrounding(claims, chunks.map(chunk => chunk.content), {
+        method,
+        chatModel: model
+      });
+      grounding = {
+        method,
+        ...(method === 'llm' && { model }),
+        claims: claims.map((text, index) => ({ text, ...results[index] }))
+      };
+    } catch (error) {
+      console.error('[ERROR] Grounding check failed:', error);
+      grounding = { method, error: error.message || 'Unknown error' };
+    } finally {
+      groundingInProgress.delete(nodeId);
+    }
+
+    // チェック中に別のセッションを開いた場合は結果を捨てる
+    if (conversationTree !== tree) {
+      console.log('[INFO] Discarding grounding result of a session that is no longer open');
+      return;
+    }
+
+    node.message.grounding = grounding;
+    if (!currentAbortController) {
+      renderConversation();
+    }
+    await saveCurrentSession();
+  }
+
+/**
+ * Highlight the checked sentences of a rendered answer by verdict
+ * @param {HTMLElement} contentEl - Message body of the answer (rendered Markdown, before citation badges)
+ * @param {Array<Object>} claims - message.grounding.claims
+ */
+function addGroundingHighlights(contentEl, claims) {
+    // テキストノードと、回答全体のテキストの中での開始位置
+    const walker = document.createTreeWalker(contentEl, NodeFilter.SHOW_TEXT);
+    const textNodes = [];
+    let text = '';
+    while (walker.nextNode()) {
+      textNodes.push({ node: walker.currentNode, start: text.length });
+      text += walker.currentNode.nodeValue;
+    }
+
+    // 文は回答の順に並んでいるので、前の文の後ろから探す
+    const ranges = [];
+    let searchFrom = 0;
+    for (const claim of claims) {
+      const range = findTextRange(text.slice(searchFrom), claim.text);
+      if (!range) continue;
+      ranges.push({ start: searchFrom + range.start, end: searchFrom + range.end, claim });
+      searchFrom += range.end;
+    }
+
+    // 後ろから分割すれば、前にあるテキストノードの位置は変わらない
+    for (const { start, end, claim } of ranges.reverse()) {
+      for (const { node, start: nodeStart } of [...textNodes].reverse()) {
+        const from = Math.max(start, nodeStart) - nodeStart;
+        const to = Math.min(end, nodeStart + node.nodeValue.length) - nodeStart;
+        if (to <= from) continue;
+
+        if (to < node.nodeValue.length) node.splitText(to);
+        const target = from > 0 ? node.splitText(from) : node;
+        if (!target.nodeValue.trim()) continue;
+
+        const span = document.createElement('span');
+        span.className = `grounding-claim grounding-${claim.verdict}`;
+        span.title = formatGroundingVerdict(claim);
+        target.replaceWith(span);
+        span.appendChild(target);
+      }
+    }
+  }
+
+// Tooltip of a highlighted sentence, e.g. "Supported by [1], [3] (similarity 0.81)"
+function formatGroundingVerdict(claim) {
+    let label = GROUNDING_LABELS[claim.verdict] || claim.verdict;
+    if (claim.verdict !== 'unsupported' && claim.chunks?.length > 0) {
+      label += ` by ${claim.chunks.map(number => `[${number}]`).join(', ')}`;
+    }
+    if (typeof claim.score === 'number') {
+      label += ` (similarity ${claim.score.toFixed(2)})`;
+    }
+    return label;
+  }
+
+// Summarise the grounding check under an answer (or show that it is still running / failed)
+function addGroundingNote(contentEl, grounding) {
+    const note = document.createElement('div');
+    note.className = 'grounding-note';
+
+    if (!grounding) {
+      note.textContent = '🔎 Checking which sentences are supported by the retrieved context...';
+    } else if (grounding.error) {
+      note.classList.add('grounding-note-error');
+      note.textContent = `⚠️ Grounding check failed: ${grounding.error}`;
+    } else {
+      const counts = { supported: 0, partial: 0, unsupported: 0 };
+      grounding.claims.forEach(claim => counts[claim.verdict]++);
+      const method = GROUNDING_METHODS[grounding.method] + (grounding.model ? ` · ${grounding.model}` : '');
+      note.textContent =
+        `🔎 Grounding (${method}): ✅ ${counts.supported} supported · ` +
+        `⚠️ ${counts.partial} partial · ❌ ${counts.unsupported} unsupported`;
+    }
+
+    contentEl.insertAdjacentElement('afterend', note);
+  }
+
+// ==========================================
+// Image Attachments
+// ==========================================
+
+/**
+ * Get the capabilities and context sizes reported by Ollama for a model
+ * @param {string} model - Model name
+ * @returns {Promise<{capabilities: Array<string>, contextLength: (number|null), numCtx: (number|null)}|null>}
+ *   null if unknown
+ */
+async function getModelInfo(model) {
+    if (!model) return null;
+    if (modelInfoCache[model]) return modelInfoCache[model];
+
+    try {
+      const port = await getServerPort();
+      const res = await fetch(`http://localhost:${port}/model-capabilities?model=${encodeURIComponent(model)}`);
+      if (!res.ok) {
+        throw new Error(`HTTP error! status: ${res.status}`);
+      }
+      const { capabilities, contextLength = null, numCtx = null } = await res.json();
+      modelInfoCache[model] = { capabilities, contextLength, numCtx };
+      return modelInfoCache[model];
+    } catch (error) {
+      console.error('[ERROR] Failed to get model capabilities:', error);
+      return null;
+    }
+  }
+
+/**
+ * Get the capabilities reported by Ollama for a model
+ * @param {string} model - Model name
+ * @returns {Promise<Array<string>|null>} e.g. ['completion', 'vision'], or null if unknown
+ */
+async function getModelCapabilities(model) {
+    const info = await getModelInfo(model);
+    return info ? info.capabilities : null;
+  }
+
+// Warn when images are attached but the selected model does not report vision capability
+async function warnIfNoVision() {
+    if (pendingImages.length === 0) return;
+
+    const model = document.getElementById('model-select').value;
+    const capabilities = await getModelCapabilities(model);
+    if (!capabilities || capabilities.includes('vision') || visionWarningShownFor === model) return;
+
+    visionWarningShownFor = model;
+    alert(
+      `⚠️ Model Without Vision Support
+
+` +
+      `"${model}" does not report vision capability, so the attached images will probably be ignored.
+
+` +
+      `Select a vision model (e.g. llava, llama3.2-vision, gemma3, qwen2.5vl) or install one with:
+` +
+      `ollama pull llava`
+    );
+  }
+
+// Read an image file as base64 without the "data:...;base64," prefix (format expected by Ollama)
+function readImageAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result.split(',')[1]);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(file);
+    });
+  }
+
+const MAX_IMAGE_SIZE = 20 * 1024 * 1024; // 20MB
+
+// 画像は履歴とともに毎回 /chat-stream に送られるため、会話全体の画像（base64）の合計を
+// server.js の bodyParser.json({ limit: '50mb' }) に収まるよう制限する（10MBはテキストの分）
+const MAX_TOTAL_IMAGE_BASE64_LENGTH = 40 * 1024 * 1024;
+
+// Total base64 length of the images in the active branch and the pending attachments
+function getTotalImageLength() {
+    return [...messages.flatMap(message => message.images || []), ...pendingImages]
+      .reduce((total, image) => total + image.length, 0);
+  }
+
+async function addImageFiles(files) {
+    const imageFiles = [...files].filter(file => file.type.startsWith('image/'));
+    if (imageFiles.length === 0) return;
+
+    for (const file of imageFiles) {
+      if (file.size > MAX_IMAGE_SIZE) {
+        alert(`⚠️ Image Too Large
+
+"${file.name}" is larger than ${MAX_IMAGE_SIZE / 1024 / 1024}MB and was not attached.`);
+        continue;
+      }
+      try {
+        const image = await readImageAsBase64(file);
+        if (getTotalImageLength() + image.length > MAX_TOTAL_IMAGE_BASE64_LENGTH) {
+          alert(`⚠️ Too Many Images
+
+"${file.name}" was not attached: the images of this conversation would exceed ${MAX_TOTAL_IMAGE_BASE64_LENGTH / 1024 / 1024}MB (base64) per request.
+
+Start a new chat to attach more images.`);
+          continue;
+        }
+        pendingImages.push(image);
+      } catch (error) {
+        console.error('[ERROR] Failed to read image:', error);
+        alert(`Failed to read image "${file.name}": ${error.message}`);
+      }
+    }
+
+    renderPendingImages();
+    await warnIfNoVision();
+  }
+
+// Build a data URL for display; the MIME type is guessed from the file signature
+function toImageDataUrl(base64) {
+    const signatures = { '/9j/': 'image/jpeg', 'iVBOR': 'image/png', 'R0lG': 'image/gif', 'UklGR': 'image/webp' };
+    const prefix = Object.keys(signatures).find(signature => base64.startsWith(signature));
+    return `data:${prefix ? signatures[prefix] : 'image/png'};base64,${base64}`;
+  }
+
+function clearPendingImages() {
+    pendingImages = [];
+    renderPendingImages();
+  }
+
+// Show the images that will be sent with the next prompt, each with a remove button
+function renderPendingImages() {
+    const container = document.getElementById('prompt-attachments');
+    container.innerHTML = '';
+    container.classList.toggle('hidden', pendingImages.length === 0);
+
+    pendingImages.forEach((image, index) => {
+      const thumb = document.createElement('div');
+      thumb.className = 'attachment-thumb';
+      const img = document.createElement('img');
+      img.src = toImageDataUrl(image);
+      const removeBtn = document.createElement('button');
+      removeBtn.textContent = '✕';
+      removeBtn.title = 'Remove image';
+      removeBtn.addEventListener('click', () => {
+        pendingImages.splice(index, 1);
+        renderPendingImages();
+      });
+      thumb.appendChild(img);
+      thumb.appendChild(removeBtn);
+      container.appendChild(thumb);
+    });
+  }
+
+function createImageThumbnails(images) {
+    const container = document.createElement('div');
+    container.className = 'message-images';
+    for (const image of images) {
+      const img = document.createElement('img');
+      img.src = toImageDataUrl(image);
+      container.appendChild(img);
+    }
+    return container;
+  }
+
+// ==========================================
+// Prompt Library
+// ==========================================
+
+let savedPresets = []; // ユーザーが保存したプリセット（presetsテーブル）
+let savedTemplates = []; // ユーザーが保存したテンプレート（prompt_templatesテーブル）
+
+// Wire up the "Presets & templates" section and load the saved entries
+async function initPromptLibrary() {
+    document.getElementById('apply-preset-btn').addEventListener('click', applySelectedPreset);
+    document.getElementById('save-preset-btn').addEventListener('click', saveCurrentAsPreset);
+    document.getElementById('delete-preset-btn').addEventListener('click', deleteSelectedPreset);
+    document.getElementById('use-template-btn').addEventListener('click', useSelectedTemplate);
+    document.getElementById('save-template-btn').addEventListener('click', savePromptAsTemplate);
+    document.getElementById('delete-template-btn').addEventListener('click', deleteSelectedTemplate);
+    document.getElementById('preset-select').addEventListener('change', updateLibraryButtons);
+    document.getElementById('template-select').addEventListener('change', updateLibraryButtons);
+    document.getElementById('export-library-btn').addEventListener('click', exportPromptLibrary);
+    document.getElementById('import-library-btn').addEventListener('click', () => {
+      const input = document.getElementById('import-library-input');
+      input.value = '';
+      input.click();
+    });
+    document.getElementById('import-library-input').addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      if (file) {
+        await importPromptLibrary(file);
+      }
+    });
+
+    await refreshPromptLibrary();
+  }
+
+// Reload saved presets/templates from the database and rebuild both selects
+async function refreshPromptLibrary() {
+    try {
+      [savedPresets, savedTemplates] = await Promise.all([
+        window.electronAPI.listPresets(),
+        window.electronAPI.listPromptTemplates()
+      ]);
+    } catch (error) {
+      console.error('[ERROR] Failed to load prompt library:', error);
+      savedPresets = [];
+      savedTemplates = [];
+    }
+
+    fillLibrarySelect(document.getElementById('preset-select'), BUILTIN_PRESETS, savedPresets);
+    fillLibrarySelect(document.getElementById('template-select'), BUILTIN_TEMPLATES, savedTemplates);
+    updateLibraryButtons();
+  }
+
+/**
+ * Fill a library select with built-in and saved entries
+ * Option values are "builtin:<index>" or "saved:<id>"; the previous selection is kept if it still exists.
+ * @param {HTMLSelectElement} select - #preset-select or #template-select
+ * @param {Array<Object>} builtins - Built-in entries
+ * @param {Array<Object>} saved - Entries from the database
+ */
+function fillLibrarySelect(select, builtins, saved) {
+    const previous = select.value;
+    select.innerHTML = '';
+
+    const addGroup = (label, entries, toValue) => {
+      if (entries.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      entries.forEach((entry, index) => {
+        const option = document.createElement('option');
+        option.value = toValue(entry, index);
+        option.textContent = entry.name;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    };
+
+    addGroup('Saved', saved, entry => `saved:${entry.id}`);
+    addGroup('Built-in', builtins, (_, index) => `builtin:${index}`);
+
+    if (Array.from(select.options).some(option => option.value === previous)) {
+      select.value = previous;
+    }
+  }
+
+/**
+ * Resolve the selected option of a library select
+ * @param {string} selectId - #preset-select or #template-select
+ * @returns {{entry: Object, builtin: boolean}|null} Selected entry or null
+ */
+function getSelectedLibraryEntry(selectId) {
+    const [builtins, saved] = selectId === 'preset-select'
+      ? [BUILTIN_PRESETS, savedPresets]
+      : [BUILTIN_TEMPLATES, savedTemplates];
+    const [kind, key] = document.getElementById(selectId).value.split(':');
+
+    if (kind === 'builtin' && builtins[key]) {
+      return { entry: builtins[key], builtin: true };
+    }
+    const entry = saved.find(item => String(item.id) === key);
+    return entry ? { entry, builtin: false } : null;
+  }
+
+// Built-in entries cannot be deleted
+function updateLibraryButtons() {
+    for (const [selectId, buttonId] of [['preset-select', 'delete-preset-btn'], ['template-select', 'delete-template-btn']]) {
+      const selected = getSelectedLibraryEntry(selectId);
+      const button = document.getElementById(buttonId);
+      button.disabled = !selected || selected.builtin;
+      button.style.opacity = button.disabled ? 0.5 : 1;
+    }
+  }
+
+function applySelectedPreset() {
+    const selected = getSelectedLibraryEntry('preset-select');
+    if (!selected) return;
+    const preset = selected.entry;
+    const { systemPrompt } = getChatSettings();
+
+    // 会話中はシステムプロンプトが最初のメッセージとして確定しているため変更しない
+    const keepSystemPrompt = isChatActive && (preset.systemPrompt || '') !== systemPrompt;
+
+    applyChatSettings({
+      systemPrompt: keepSystemPrompt ? systemPrompt : (preset.systemPrompt || ''),
+      parameters: preset.parameters || {},
+      ragSettings: preset.ragSettings || {}
+    });
+    console.log(`[INFO] Applied preset "${preset.name}"`);
+
+    if (keepSystemPrompt) {
+      alert(
+        `⚠️ System Prompt Not Changed\n\n` +
+        `The parameters and RAG settings of "${preset.name}" were applied, ` +
+        `but the system prompt of a running chat cannot be changed.\n\n` +
+        `Start a new chat to use the preset's system prompt.`
+      );
+    }
+  }
+
+async function saveCurrentAsPreset() {
+    const nameInput = document.getElementById('preset-name');
+    const name = nameInput.value.trim();
+    if (!name) {
+      alert('⚠️ Preset Name Missing\n\nEnter a name for the preset first.');
+      return;
+    }
+    if (!checkResponseFormat()) return;
+
+    const { systemPrompt, parameters, ragSettings } = getChatSettings();
+    try {
+      const presetId = await window.electronAPI.savePreset({ name, systemPrompt, parameters, ragSettings });
+      nameInput.value = '';
+      await refreshPromptLibrary();
+      document.getElementById('preset-select').value = `saved:${presetId}`;
+      updateLibraryButtons();
+    } catch (error) {
+      console.error('[ERROR] Failed to save preset:', error);
+      alert(`Failed to save preset: ${error.message}`);
+    }
+  }
+
+async function deleteSelectedPreset() {
+    const selected = getSelectedLibraryEntry('preset-select');
+    if (!selected || selected.builtin) return;
+    if (!confirm(`Delete the preset "${selected.entry.name}"?`)) return;
+
+    try {
+      await window.electronAPI.deletePreset(selected.entry.id);
+      await refreshPromptLibrary();
+    } catch (error) {
+      console.error('[ERROR] Failed to delete preset:', error);
+      alert(`Failed to delete preset: ${error.message}`);
+    }
+  }
+
+function useSelectedTemplate() {
+    const selected = getSelectedLibraryEntry('template-select');
+    if (!selected) return;
+
+    const variables = getTemplateVariables(selected.entry.template);
+    if (variables.length === 0) {
+      insertIntoPrompt(selected.entry.template);
+    } else {
+      showTemplateForm(selected.entry, variables);
+    }
+  }
+
+// Replace the prompt text with a filled-in template
+function insertIntoPrompt(text) {
+    const promptInput = document.getElementById('prompt');
+    promptInput.value = text;
+    promptInput.focus();
+  }
+
+/**
+ * Show a small form above the prompt with one field per template variable
+ * @param {Object} template - { name, template }
+ * @param {Array<string>} variables - Variable names from getTemplateVariables()
+ */
+function showTemplateForm(template, variables) {
+    const form = document.getElementById('template-form');
+    form.innerHTML = '';
+
+    const title = document.createElement('div');
+    title.className = 'template-form-title';
+    title.textContent = `📝 ${template.name}`;
+    form.appendChild(title);
+
+    const inputs = {};
+    for (const name of variables) {
+      const label = document.createElement('label');
+      label.textContent = name;
+      const input = document.createElement('textarea');
+      input.rows = 1;
+      inputs[name] = input;
+      label.appendChild(input);
+      form.appendChild(label);
+    }
+
+    const hideForm = () => {
+      form.classList.add('hidden');
+      form.innerHTML = '';
+    };
+
+    const actions = document.createElement('div');
+    actions.className = 'template-form-actions';
+    const insertBtn = document.createElement('button');
+    insertBtn.textContent = 'Insert';
+    insertBtn.className = 'bg-blue-600 hover:bg-blue-700 px-3 py-1 rounded text-sm';
+    insertBtn.addEventListener('click', () => {
+      const values = Object.fromEntries(Object.entries(inputs).map(([name, input]) => [name, input.value]));
+      insertIntoPrompt(fillTemplate(template.template, values));
+      hideForm();
+    });
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.className = 'bg-gray-600 hover:bg-gray-500 px-3 py-1 rounded text-sm';
+    cancelBtn.addEventListener('click', hideForm);
+    actions.appendChild(insertBtn);
+    actions.appendChild(cancelBtn);
+    form.appendChild(actions);
+
+    form.classList.remove('hidden');
+    inputs[variables[0]].focus();
+  }
+
+async function savePromptAsTemplate() {
+    const nameInput = document.getElementById('template-name');
+    const name = nameInput.value.trim();
+    const template = document.getElementById('prompt').value;
+    if (!name) {
+      alert('⚠️ Template Name Missing\n\nEnter a name for the template first.');
+      return;
+    }
+    if (!template.trim()) {
+      alert('⚠️ Empty Template\n\nWrite the template in the prompt field first, using {{variable}} for placeholders.');
+      return;
+    }
+
+    try {
+      const templateId = await window.electronAPI.savePromptTemplate({ name, template });
+      nameInput.value = '';
+      await refreshPromptLibrary();
+      document.getElementById('template-select').value = `saved:${templateId}`;
+      updateLibraryButtons();
+    } catch (error) {
+      console.error('[ERROR] Failed to save prompt template:', error);
+      alert(`Failed to save prompt template: ${error.message}`);
+    }
+  }
+
+async function deleteSelectedTemplate() {
+    const selected = getSelectedLibraryEntry('template-select');
+    if (!selected || selected.builtin) return;
+    if (!confirm(`Delete the template "${selected.entry.name}"?`)) return;
+
+    try {
+      await window.electronAPI.deletePromptTemplate(selected.entry.id);
+      await refreshPromptLibrary();
+    } catch (error) {
+      console.error('[ERROR] Failed to delete prompt template:', error);
+      alert(`Failed to delete prompt template: ${error.message}`);
+    }
+  }
+
+// Download the saved presets and templates as JSON (built-in entries are not included)
+function exportPromptLibrary() {
+    if (savedPresets.length === 0 && savedTemplates.length === 0) {
+      alert('⚠️ Nothing to Export\n\nOnly the built-in presets and templates exist. Save your own first.');
+      return;
+    }
+
+    const data = {
+      version: LIBRARY_EXPORT_VERSION,
+      presets: savedPresets.map(({ name, systemPrompt, parameters, ragSettings }) => ({ name, systemPrompt, parameters, ragSettings })),
+      templates: savedTemplates.map(({ name, template }) => ({ name, template }))
+    };
+
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `prompt-library-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    link.click();
+  }
+
+// Import presets and templates written by exportPromptLibrary()
+async function importPromptLibrary(file) {
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      alert(`⚠️ Import Failed\n\n"${file.name}" is not a valid JSON file.\n\nError: ${error.message}`);
+      return;
+    }
+
+    const errors = validateLibraryExport(data);
+    if (errors.length > 0) {
+      alert(
+        `⚠️ Import Failed\n\n` +
+        `"${file.name}" is not a valid prompt library export:\n` +
+        `${errors.slice(0, 10).map(e => `• ${e}`).join('\n')}`
+      );
+      return;
+    }
+
+    try {
+      const counts = await window.electronAPI.importPromptLibrary({
+        presets: data.presets || [],
+        templates: data.templates || []
+      });
+      await refreshPromptLibrary();
+      alert(
+        `✅ Library Imported\n\n` +
+        `${counts.presets} preset(s) and ${counts.templates} template(s) imported.\n` +
+        `Existing entries with the same name were replaced.`
+      );
+    } catch (error) {
+      console.error('[ERROR] Failed to import prompt library:', error);
+      alert(`Failed to import prompt library: ${error.message}`);
+    }
+  }
+
+// ==========================================
+// Chat Sessions
+// ==========================================
+
+function makeSessionTitle(text) {
+    const singleLine = (text || '').replace(/\s+/g, ' ').trim();
+    if (!singleLine) {
+      return `Chat ${new Date().toLocaleString()}`;
+    }
+    return singleLine.length > 40 ? `${singleLine.substring(0, 40)}…` : singleLine;
+  }
+
+// Save the current conversation (creates the session on the first turn)
+async function saveCurrentSession(titleHint) {
+    try {
+      const session = {
+        id: currentSessionId,
+        ...getChatSettings(),
+        // メッセージは保存しない（開くときにツリーのアクティブパスから復元する）
+        tree: conversationTree
+      };
+      if (!currentSessionId) {
+        session.title = makeSessionTitle(titleHint);
+      }
+
+      currentSessionId = await window.electronAPI.saveChatSession(session);
+      await refreshSessionList();
+    } catch (error) {
+      console.error('[ERROR] Failed to save chat session:', error);
+    }
+  }
+
+async function openSession(sessionId) {
+    if (isGenerationInProgress()) return;
+    try {
+      const session = await window.electronAPI.getChatSession(sessionId);
+      if (!session) {
+        alert('This chat session no longer exists.');
+        await refreshSessionList();
+        return;
+      }
+
+      applyChatSettings(session);
+      // messages はツリーを持たない旧形式のセッションのためだけに読む
+      conversationTree = migrateConversationTree(isValidTree(session.tree)
+        ? session.tree
+        : buildTreeFromMessages(session.messages));
+      syncMessages();
+      currentSessionId = session.id;
+      isChatActive = messages.length > 0;
+      lockParamsUI(isChatActive);
+      renderConversation();
+      document.getElementById('prompt').value = '';
+      await refreshSessionList();
+    } catch (error) {
+      console.error('[ERROR] Failed to open chat session:', error);
+      alert(`Failed to open chat session: ${error.message}`);
+    }
+  }
+
+// Turn a session title into an inline text field
+function startRenameSession(item, session) {
+    const titleEl = item.querySelector('.session-title');
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'session-rename-input';
+    input.value = session.title;
+    titleEl.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let finished = false;
+    const finish = async (save) => {
+      if (finished) return;
+      finished = true;
+      const title = input.value.trim();
+      if (save && title && title !== session.title) {
+        await window.electronAPI.renameChatSession(session.id, title);
+      }
+      await refreshSessionList();
+    };
+
+    input.addEventListener('click', (e) => e.stopPropagation());
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') finish(true);
+      if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+  }
+
+async function refreshSessionList() {
+    const list = document.getElementById('session-list');
+    if (!list) return;
+
+    let sessions = [];
+    try {
+      sessions = await window.electronAPI.listChatSessions();
+    } catch (error) {
+      console.error('[ERROR] Failed to load chat sessions:', error);
+    }
+
+    list.innerHTML = '';
+
+    if (sessions.length === 0) {
+      const empty = document.createElement('div');
+      empty.className = 'session-empty';
+      empty.textContent = 'No saved chats yet';
+      list.appendChild(empty);
+      return;
+    }
+
+    for (const session of sessions) {
+      const item = document.createElement('div');
+      item.className = 'session-item';
+      if (session.id === currentSessionId) {
+        item.classList.add('active');
+      }
+
+      const info = document.createElement('div');
+      info.className = 'session-info';
+      const title = document.createElement('span');
+      title.className = 'session-title';
+      title.textContent = session.title;
+      title.title = session.title;
+      const meta = document.createElement('span');
+      meta.className = 'session-meta';
+      meta.textContent = [session.model, session.updated_at].filter(Boolean).join(' · ');
+      info.appendChild(title);
+      info.appendChild(meta);
+
+      const actions = document.createElement('div');
+      actions.className = 'session-actions';
+      const buttons = [
+        ['✏️', 'Rename', () => startRenameSession(item, session)],
+        ['📄', 'Duplicate', async () => {
+          const newId = await window.electronAPI.duplicateChatSession(session.id);
+          if (newId) await openSession(newId);
+        }],
+        ['🗑️', 'Delete', async () => {
+          if (!confirm(`Delete the chat "${session.title}"?`)) return;
+          await window.electronAPI.deleteChatSession(session.id);
+          if (session.id === currentSessionId) {
+            resetChat();
+          } else {
+            await refreshSessionList();
+          }
+        }]
+      ];
+      for (const [icon, label, handler] of buttons) {
+        const btn = document.createElement('button');
+        btn.textContent = icon;
+        btn.title = label;
+        btn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          handler();
+        });
+        actions.appendChild(btn);
+      }
+
+      item.appendChild(info);
+      item.appendChild(actions);
+      item.addEventListener('click', () => openSession(session.id));
+      list.appendChild(item);
+    }
+  }
+
+function exportChat() {
+    const { model, systemPrompt, parameters, ragSettings } = getChatSettings();
+
+    const data = {
       model,
       systemPrompt,
-      parameters: { temperature, top_p, top_k, seed },
-      history: messages
+      parameters,
+      ragSettings, // 検索条件（top-k、しきい値など）を再現できるように記録する
+      history: messages,
+      tree: conversationTree // 全ブランチ（historyは現在表示中のブランチ）
     };
   
     const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
@@ -711,4 +2945,130 @@ function exportChat() {
   }
 window.exportChat = exportChat;
 
+const CHAT_ROLES = ['system', 'user', 'assistant'];
+
+/**
+ * Validate the structure written by exportChat()
+ * @param {Object} data - Parsed JSON
+ * @returns {Array<string>} Validation errors (empty if valid)
+ */
+function validateChatExport(data) {
+    const errors = [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return ['The file does not contain a chat export object.'];
+    }
+    if (data.model !== undefined && typeof data.model !== 'string') {
+      errors.push('"model" must be a string.');
+    }
+    if (data.systemPrompt !== undefined && typeof data.systemPrompt !== 'string') {
+      errors.push('"systemPrompt" must be a string.');
+    }
+    if (data.parameters !== undefined && (typeof data.parameters !== 'object' || data.parameters === null)) {
+      errors.push('"parameters" must be an object.');
+    }
+    if (data.ragSettings !== undefined && (typeof data.ragSettings !== 'object' || data.ragSettings === null)) {
+      errors.push('"ragSettings" must be an object.');
+    }
+    if (!Array.isArray(data.history)) {
+      errors.push('"history" must be an array of messages.');
+    } else {
+      data.history.forEach((message, index) => {
+        if (!message || !CHAT_ROLES.includes(message.role)) {
+          errors.push(`history[${index}]: role must be one of ${CHAT_ROLES.join(', ')}.`);
+        } else if (typeof message.content !== 'string') {
+          errors.push(`history[${index}]: content must be a string.`);
+        } else if (message.images !== undefined &&
+          (!Array.isArray(message.images) || message.images.some(image => typeof image !== 'string'))) {
+          errors.push(`history[${index}]: images must be an array of base64 strings.`);
+        } else if (message.retrieved_context !== undefined &&
+          (!Array.isArray(message.retrieved_context) || message.retrieved_context.some(chunk => typeof chunk?.content !== 'string'))) {
+          errors.push(`history[${index}]: retrieved_context must be an array of chunks with text content.`);
+        } else if (message.thinking !== undefined && typeof message.thinking !== 'string') {
+          errors.push(`history[${index}]: thinking must be a string.`);
+        }
+      });
+    }
+    if (data.tree !== undefined && !isValidTree(data.tree)) {
+      errors.push('"tree" is not a valid conversation tree.');
+    }
+
+    return errors;
+  }
+
+// Restore an exported chat into a live session
+async function importChat(file) {
+    if (isGenerationInProgress()) return;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      alert(`⚠️ Import Failed\n\n"${file.name}" is not a valid JSON file.\n\nError: ${error.message}`);
+      return;
+    }
+
+    const errors = validateChatExport(data);
+    if (errors.length > 0) {
+      alert(
+        `⚠️ Import Failed\n\n` +
+        `"${file.name}" is not a valid chat export:\n` +
+        `${errors.slice(0, 10).map(e => `• ${e}`).join('\n')}`
+      );
+      return;
+    }
+
+    const modelSelect = document.getElementById('model-select');
+    const installedModels = Array.from(modelSelect.options).map(option => option.value);
+    if (data.model && !installedModels.includes(data.model)) {
+      alert(
+        `⚠️ Model Not Installed\n\n` +
+        `This chat was exported with "${data.model}", which is not installed in Ollama.\n\n` +
+        `The conversation will continue with "${modelSelect.value || 'no model'}" instead.\n` +
+        `To use the original model, install it with:\n` +
+        `ollama pull ${data.model}`
+      );
+    }
+
+    applyChatSettings({
+      model: data.model,
+      systemPrompt: data.systemPrompt || '',
+      parameters: data.parameters || {},
+      // 古いエクスポートにはRAG設定がないため、現在の設定を残す
+      ragSettings: data.ragSettings || getChatSettings().ragSettings
+    });
+
+    // prompt は古い形式のRAGメッセージ（migrateLegacyRagMessageで変換される）
+    conversationTree = migrateConversationTree(data.tree
+      ? data.tree
+      : buildTreeFromMessages(data.history.map(({ role, content, prompt, retrieved_context, images, truncated, stats, thinking, toolRounds }) => ({
+        role,
+        content,
+        ...(typeof prompt === 'string' && { prompt }),
+        ...(retrieved_context?.length > 0 && { retrieved_context }),
+        ...(toolRounds?.length > 0 && { toolRounds }),
+        ...(images?.length > 0 && { images }),
+        ...(truncated && { truncated: true }),
+        ...(thinking && { thinking }),
+        ...(stats && { stats })
+      }))));
+    syncMessages();
+    currentSessionId = null;
+    isChatActive = messages.length > 0;
+    lockParamsUI(isChatActive);
+    renderConversation();
+    document.getElementById('prompt').value = '';
+
+    if (isChatActive) {
+      const firstUserMessage = messages.find(m => m.role === 'user');
+      await saveCurrentSession(firstUserMessage ? firstUserMessage.content : file.name);
+    }
+  }
+
+function openImportDialog() {
+    const input = document.getElementById('import-chat-input');
+    input.value = '';
+    input.click();
+  }
+window.openImportDialog = openImportDialog;
+
 // REMOVED: refreshRagFileList function - moved to manage-rag.js
\ No newline at end of file
@@ -0,0 +1,192 @@
+/**
+ * Retrieval Inspector
+ *
+ * Renders the trace returned by searchFromStore() as a collapsible
+ * "Retrieval details" drawer under a RAG question: the original and
+ * rewritten query, the hits of each search stage with rank and score, the
+ * GraphRAG seed and related entities, why hits were dropped, and the final
+ * prompt sent to the chat model.
+ */
+
+import { formatRetrievalScore } from './citations';
+
+const STAGE_LABELS = {
+  embedding: '🔍 Embedding search',
+  fulltext: '📝 Full-text search',
+  hybrid: '⚡ Hybrid search',
+  graphrag: '🕸️ GraphRAG'
+};
+
+const MODE_LABELS = {
+  embedding: 'Embedding',
+  fulltext: 'Full-text',
+  hybrid: 'Hybrid'
+};
+
+function createElement(tag, className, text) {
+  const el = document.createElement(tag);
+  if (className) el.className = className;
+  if (text !== undefined) el.textContent = text;
+  return el;
+}
+
+function formatLocation({ source, page }) {
+  const fileName = (source || 'Unknown').split('/').pop();
+  return page ? `${fileName} (p.${page})` : fileName;
+}
+
+function formatNumber(value) {
+  return typeof value === 'number' ? value.toFixed(2) : '–';
+}
+
+// Describe the retrieval settings that applied to the enabled searches
+function formatSettings({ settings, mode, useChunkRAG, useGraphRAG }) {
+  const parts = [];
+  if (useChunkRAG && mode !== 'fulltext') parts.push(`min. similarity ${settings.minSimilarity}`);
+  if (useChunkRAG && mode !== 'embedding') parts.push(`min. keyword matches ${settings.minKeywordMatches}`);
+  if (useGraphRAG) parts.push(`${settings.graphSeedEntities} seed / ${settings.graphRelatedEntities} related entities`);
+  parts.push(settings.maxContextTokens > 0 ? `max. ${settings.maxContextTokens} context tokens` : 'no token limit');
+  return parts.join(' · ');
+}
+
+function addSection(container, title) {
+  const section = createElement('div', 'retrieval-trace-section');
+  section.appendChild(createElement('div', 'retrieval-trace-heading', title));
+  container.appendChild(section);
+  return section;
+}
+
+function addField(section, label, value) {
+  const row = createElement('div', 'retrieval-trace-field');
+  row.appendChild(createElement('span', 'retrieval-trace-label', `${label}: `));
+  row.appendChild(document.createTextNode(value));
+  section.appendChild(row);
+}
+
+/**
+ * Create a table of hits
+ * @param {Array<Object>} hits - [{ rank, chunkId, source, page, score, scoreType, preview }]
+ * @returns {HTMLElement} Table
+ */
+function createHitTable(hits) {
+  const table = createElement('table', 'retrieval-trace-table');
+  const head = table.createTHead().insertRow();
+  ['#', 'Chunk', 'Source', 'Score', 'Text'].forEach(label => head.appendChild(createElement('th', null, label)));
+
+  const body = table.createTBody();
+  for (const hit of hits) {
+    const row = body.insertRow();
+    row.insertCell().textContent = hit.rank;
+    row.insertCell().textContent = hit.chunkId ?? '–';
+    const source = row.insertCell();
+    source.textContent = formatLocation(hit);
+    source.title = hit.source;
+    row.insertCell().textContent = formatRetrievalScore(hit) ?? '–';
+    const preview = row.insertCell();
+    preview.className = 'retrieval-trace-preview';
+    preview.textContent = hit.preview;
+  }
+  return table;
+}
+
+function addEntityList(section, title, entities, describe) {
+  section.appendChild(createElement('div', 'retrieval-trace-subheading', title));
+  if (entities.length === 0) {
+    section.appendChild(createElement('div', 'retrieval-trace-empty', 'None'));
+    return;
+  }
+  const list = createElement('ul', 'retrieval-trace-list');
+  entities.forEach(entity => list.appendChild(createElement('li', null, describe(entity))));
+  section.appendChild(list);
+}
+
+/**
+ * Create the "Retrieval details" drawer for a RAG question
+ * @param {Object} trace - retrieval_trace of the user message
+ * @returns {HTMLElement} Collapsible block
+ */
+export function createRetrievalTraceBlock(trace) {
+  const details = createElement('details', 'retrieval-trace-block');
+  const summary = createElement('summary');
+  const stageCount = trace.stages.length;
+  summary.textContent = `🔬 Retrieval details (${stageCount} ${stageCount === 1 ? 'stage' : 'stages'}, ${trace.final.length} passed on)`;
+  details.appendChild(summary);
+
+  // 開いたときに初めて中身を作る（長い会話でも表示を重くしない）
+  details.addEventListener('toggle', () => {
+    if (details.open && details.childElementCount === 1) {
+      renderTrace(details, trace);
+    }
+  });
+
+  return details;
+}
+
+function renderTrace(container, trace) {
+  const query = addSection(container, 'Query');
+  addField(query, 'Question', trace.query);
+  if (trace.rewrittenQuery !== null && trace.rewrittenQuery !== undefined) {
+    const unchanged = trace.rewrittenQuery === trace.query;
+    addField(query, 'Rewritten for full-text search',
+      unchanged ? `${trace.rewrittenQuery} (rewrite failed or unchanged)` : `${trace.rewrittenQuery} (by ${trace.rewriteModel})`);
+  }
+  const methods = [
+    ...(trace.useChunkRAG ? [`Chunks: ${MODE_LABELS[trace.mode] || trace.mode}`] : []),
+    ...(trace.useGraphRAG ? ['GraphRAG'] : [])
+  ];
+  addField(query, 'Search', `${methods.join(' + ')} · k = ${trace.k} · embedding model ${trace.embeddingModel}`);
+  // 設定を記録していない古いトレースでは表示しない
+  if (trace.settings) {
+    addField(query, 'Settings', formatSettings(trace));
+  }
+
+  for (const stage of trace.stages) {
+    const section = addSection(container, `${STAGE_LABELS[stage.stage] || stage.stage} · ${stage.durationMs} ms`);
+    if (stage.query) {
+      addField(section, 'Searched for', stage.query);
+    }
+    if (stage.weights) {
+      addField(section, 'Fusion weights', `embedding ${stage.weights.embedding} · full-text ${stage.weights.fulltext}`);
+    }
+    if (stage.error) {
+      section.appendChild(createElement('div', 'retrieval-trace-error', `⚠️ ${stage.error}`));
+    } else if (stage.hits.length === 0) {
+      section.appendChild(createElement('div', 'retrieval-trace-empty', 'No hits'));
+    } else {
+      section.appendChild(createHitTable(stage.hits));
+    }
+  }
+
+  if (trace.graph) {
+    const section = addSection(container, '🕸️ GraphRAG entities');
+    addEntityList(section, 'Seed entities (keyword + embedding match)', trace.graph.seedEntities, entity =>
+      `${entity.name} (${entity.type}) · score ${formatNumber(entity.score)} ` +
+      `= keyword ${formatNumber(entity.keywordScore)} + embedding ${formatNumber(entity.embeddingScore)}`);
+    addEntityList(section, 'Related entities (via relationships)', trace.graph.relatedEntities, entity =>
+      `${entity.name} (${entity.type}) · ${entity.relationship} · weight ${formatNumber(entity.score)}`);
+  }
+
+  const decisions = addSection(container, 'Dropped hits');
+  if (trace.decisions.length === 0) {
+    decisions.appendChild(createElement('div', 'retrieval-trace-empty', 'None — every hit was passed on'));
+  } else {
+    const list = createElement('ul', 'retrieval-trace-list');
+    for (const decision of trace.decisions) {
+      const chunk = decision.chunkId ? `chunk ${decision.chunkId}, ` : '';
+      list.appendChild(createElement('li', null, `[${decision.step}] ${chunk}${formatLocation(decision)}: ${decision.reason}`));
+    }
+    decisions.appendChild(list);
+  }
+
+  const final = addSection(container, `Passed on to the model (${trace.final.length})`);
+  if (trace.final.length > 0) {
+    final.appendChild(createHitTable(trace.final));
+  } else {
+    final.appendChild(createElement('div', 'retrieval-trace-empty', 'No results — the question was sent without RAG context'));
+  }
+
+  if (trace.finalPrompt) {
+    const prompt = addSection(container, 'Final prompt');
+    prompt.appendChild(createElement('pre', 'retrieval-trace-prompt', trace.finalPrompt));
+  }
+}
@@ -0,0 +1,120 @@
+/**
+ * Retrieval Settings
+ *
+ * Parameters of searchFromStore() that can be set in the RAG settings:
+ * top-k, score thresholds, a token budget for the retrieved context,
+ * GraphRAG entity counts and the weights of the hybrid search fusion.
+ * Stored in ragSettings.retrieval (sessions, presets and chat exports).
+ */
+
+// 値の範囲はUIで入力できる実用的な範囲に制限している
+const RETRIEVAL_SETTING_SPECS = {
+  topK: { type: 'integer', min: 1, max: 20, default: 3 },
+  minSimilarity: { type: 'number', min: 0, max: 1, default: 0 }, // 0: フィルタなし
+  minKeywordMatches: { type: 'integer', min: 1, max: 20, default: 1 },
+  maxContextTokens: { type: 'integer', min: 0, max: 131072, default: 0 }, // 0: 無制限
+  graphSeedEntities: { type: 'integer', min: 1, max: 20, default: 3 },
+  graphRelatedEntities: { type: 'integer', min: 0, max: 50, default: 5 },
+  hybridEmbeddingWeight: { type: 'number', min: 0, max: 1, default: 0.6 },
+  hybridFullTextWeight: { type: 'number', min: 0, max: 1, default: 0.4 }
+};
+
+// Reciprocal Rank Fusion の定数（一般的な値。上位の順位差を緩やかにする）
+const RRF_K = 60;
+
+// context-window.js と同じ見積もり（1トークン ≈ 4文字、チャンクごとに "[n] file (p.N)" のラベル）
+const CHARS_PER_TOKEN = 4;
+const CHUNK_LABEL_TOKENS = 10;
+
+/**
+ * Default retrieval settings
+ * @returns {Object} { topK, minSimilarity, ... }
+ */
+function getDefaultRetrievalSettings() {
+  return Object.fromEntries(
+    Object.entries(RETRIEVAL_SETTING_SPECS).map(([key, spec]) => [key, spec.default])
+  );
+}
+
+function validateSetting(key, value, spec) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return `${key} must be a number`;
+  }
+  if (spec.type === 'integer' && !Number.isInteger(value)) {
+    return `${key} must be an integer`;
+  }
+  if (value < spec.min || value > spec.max) {
+    return `${key} must be between ${spec.min} and ${spec.max}`;
+  }
+  return null;
+}
+
+/**
+ * Validate retrieval settings
+ * Missing values (undefined, null, '' or NaN) fall back to the default;
+ * unknown keys are ignored.
+ * @param {Object} settings - ragSettings.retrieval from the UI, a session or an export
+ * @returns {{settings: Object, errors: Array<string>}} Complete settings, and the errors of invalid values
+ */
+function validateRetrievalSettings(settings = {}) {
+  const result = getDefaultRetrievalSettings();
+  const errors = [];
+
+  for (const [key, spec] of Object.entries(RETRIEVAL_SETTING_SPECS)) {
+    const value = settings?.[key];
+    if (value === undefined || value === null || value === '' ||
+      (typeof value === 'number' && Number.isNaN(value))) {
+      continue;
+    }
+    const error = validateSetting(key, value, spec);
+    if (error) {
+      errors.push(error);
+    } else {
+      result[key] = value;
+    }
+  }
+
+  if (result.hybridEmbeddingWeight === 0 && result.hybridFullTextWeight === 0) {
+    errors.push('hybridEmbeddingWeight and hybridFullTextWeight cannot both be 0');
+  }
+
+  return { settings: result, errors };
+}
+
+/**
+ * Convert a FAISS distance to a similarity
+ * FAISS (IndexFlatL2) returns the squared L2 distance; for normalized
+ * embeddings (bge-m3, nomic-embed-text, ...) cosine similarity = 1 - d / 2.
+ * @param {number} distance - Squared L2 distance
+ * @returns {number} Similarity between 0 and 1
+ */
+function distanceToSimilarity(distance) {
+  return Math.min(1, Math.max(0, 1 - distance / 2));
+}
+
+/**
+ * Weighted Reciprocal Rank Fusion score of one hit
+ * @param {Array<{rank: number, weight: number}>} ranks - 1-based rank in each search that found the hit
+ * @returns {number} Sum of weight / (RRF_K + rank)
+ */
+function fusionScore(ranks) {
+  return ranks.reduce((total, { rank, weight }) => total + weight / (RRF_K + rank), 0);
+}
+
+/**
+ * Estimate the tokens of a chunk in the RAG prompt, including its label
+ * @param {string} text - Chunk text
+ * @returns {number} Estimated tokens
+ */
+function estimateChunkTokens(text) {
+  return CHUNK_LABEL_TOKENS + Math.ceil((text || '').length / CHARS_PER_TOKEN);
+}
+
+module.exports = {
+  RETRIEVAL_SETTING_SPECS,
+  getDefaultRetrievalSettings,
+  validateRetrievalSettings,
+  distanceToSimilarity,
+  fusionScore,
+  estimateChunkTokens
+};
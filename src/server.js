@@ -8,101 +8,862 @@ let PORT = 3000;
 let serverPort = null; // 実際に使用されているポート
 
 app.use(cors());
-app.use(bodyParser.json());
+// 画像（base64）を添付したメッセージを受け付けるため上限を引き上げる
+app.use(bodyParser.json({ limit: '50mb' }));
 
 const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const { randomUUID, randomBytes, timingSafeEqual } = require('crypto');
+const { validateChatOptions } = require('./ollama-options');
+const { validateRetrievalSettings } = require('./retrieval-settings');
+const ragStore = require('./rag-store');
+const {
+  ollamaUrl,
+  ollamaHeaders,
+  isEndpointUnavailable,
+  markEndpointOffline,
+  getEndpointsForModel,
+  requestOllama,
+  listOllamaModels
+} = require('./ollama-connection');
+const {
+  RAG_MODEL_PREFIX,
+  RAG_MODES,
+  toOpenAIError,
+  parseModelName,
+  toOllamaMessages,
+  toOllamaParams,
+  toRagOptions,
+  getRagQuery,
+  buildRagSystemMessage,
+  toRagSources,
+  toOpenAIToolCalls,
+  toFinishReason,
+  toUsage,
+  toModelObject
+} = require('./openai-compat');
+
+const NS_PER_MS = 1e6;
+
+/**
+ * Send a streaming /api/chat request to Ollama
+ * The request goes to an endpoint that hosts body.model; if the endpoint
+ * cannot be reached before it starts answering, the next one is tried.
+ * @param {Object} body - Request body (stream is always true)
+ * @param {Object} handlers
+ * @param {Function} handlers.onLine - Called with each NDJSON line and the HTTP status of the response
+ * @param {Function} handlers.onEnd - Called when the response has ended or was aborted
+ * @param {Function} handlers.onError - Called when the request failed (e.g. no endpoint is running)
+ * @returns {{destroy: Function}} Handle; destroy() it to stop the generation
+ */
+function streamOllamaChat(body, { onLine, onEnd, onError }) {
+  let ollamaReq = null;
+  let destroyed = false;
+
+  const send = (endpoints, index) => {
+    const endpoint = endpoints[index];
+    const hasNext = index + 1 < endpoints.length;
+    const failOver = (err) => {
+      markEndpointOffline(endpoint, err);
+      console.warn(`[WARN] Ollama endpoint ${endpoint.name} unavailable (${err.message}), trying the next one`);
+      send(endpoints, index + 1);
+    };
+
+    const url = new URL(ollamaUrl('/api/chat', endpoint));
+    const transport = url.protocol === 'https:' ? https : http;
+    let responded = false;
+    ollamaReq = transport.request(
+      url,
+      {
+        method: 'POST',
+        headers: {
+          ...ollamaHeaders(endpoint),
+          'Content-Type': 'application/json',
+        },
+      },
+      ollamaRes => {
+        responded = true;
+        // リバースプロキシの502/503/504は、その先のOllamaが落ちている
+        if (hasNext && isEndpointUnavailable({ status: ollamaRes.statusCode })) {
+          ollamaRes.resume();
+          failOver(new Error(`HTTP ${ollamaRes.statusCode}`));
+          return;
+        }
+
+        // マルチバイト文字がチャンク境界で分割されても壊れないようにする
+        ollamaRes.setEncoding('utf8');
+
+        // TCPチャンクの境界で行が分割されるため、改行までバッファしてからパースする
+        let buffer = '';
+        ollamaRes.on('data', chunk => {
+          buffer += chunk;
+          const lines = buffer.split('\n');
+          buffer = lines.pop();
+          lines.forEach(line => onLine(line, ollamaRes.statusCode));
+        });
+        ollamaRes.on('end', () => {
+          onLine(buffer, ollamaRes.statusCode);
+          onEnd();
+        });
+        // 停止ボタンでOllamaへのリクエストを破棄した場合もここに来る
+        ollamaRes.on('error', () => onEnd());
+      }
+    );
+
+    ollamaReq.on('error', (err) => {
+      // 応答が始まる前に接続できなかった場合だけ次のエンドポイントで再試行する
+      if (!destroyed && !responded && isEndpointUnavailable(err)) {
+        if (hasNext) return failOver(err);
+        markEndpointOffline(endpoint, err);
+      }
+      onError(err);
+    });
+    ollamaReq.write(JSON.stringify({ ...body, stream: true }));
+    ollamaReq.end();
+  };
+
+  getEndpointsForModel(body.model).then(
+    endpoints => {
+      if (!destroyed) send(endpoints, 0);
+    },
+    onError
+  );
+
+  return {
+    destroy() {
+      destroyed = true;
+      ollamaReq?.destroy();
+    }
+  };
+}
+
+/**
+ * Write one event of the /chat-stream NDJSON protocol (see src/chat-stream.js)
+ * @param {Object} res - Express response
+ * @param {Object} event - Event with a "type" field
+ */
+function writeEvent(res, event) {
+  if (!res.headersSent) {
+    res.setHeader('Content-Type', 'application/x-ndjson');
+  }
+  res.write(JSON.stringify(event) + '\n');
+}
+
+/**
+ * Convert Ollama's final "done" object into the stats frame sent to the renderer
+ * @param {Object} done - Last NDJSON object from /api/chat (durations in nanoseconds)
+ * @param {number|null} timeToFirstTokenMs - Measured from the request to the first content chunk
+ * @returns {Object} Generation stats
+ */
+function buildGenerationStats(done, timeToFirstTokenMs) {
+  const toMs = ns => (typeof ns === 'number' ? Math.round(ns / NS_PER_MS) : null);
+  return {
+    totalDurationMs: toMs(done.total_duration),
+    loadDurationMs: toMs(done.load_duration),
+    promptTokens: done.prompt_eval_count ?? 0, // プロンプトがキャッシュされている場合は省略される
+    promptEvalDurationMs: toMs(done.prompt_eval_duration),
+    evalTokens: done.eval_count ?? 0,
+    evalDurationMs: toMs(done.eval_duration),
+    tokensPerSecond: done.eval_duration > 0
+      ? Math.round((done.eval_count / done.eval_duration) * 1e9 * 10) / 10
+      : null,
+    timeToFirstTokenMs
+  };
+}
 
 app.post('/chat-stream', (req, res) => {
-  const {
-    messages,
-    temperature = 0.7,
-    top_p = 0.9,
-    top_k = 40,
-    seed = 42,
-    model
-  } = req.body;
+  const { messages, model, tools, ...params } = req.body;
 
   if (!model || !messages || !Array.isArray(messages)) {
     return res.status(400).json({ error: 'model and messages[] required' });
   }
+  if (tools !== undefined && (!Array.isArray(tools) || tools.some(tool => !tool?.function?.name))) {
+    return res.status(400).json({ error: 'tools must be an array of function definitions' });
+  }
 
-  /*const messages = [];
-  if (system_prompt) {
-    messages.push({ role: 'system', content: system_prompt });
+  const { options, keepAlive, think, format, errors } = validateChatOptions(params);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Invalid parameters: ${errors.join('; ')}` });
   }
-  messages.push({ role: 'user', content: prompt });
-  */
 
-  const ollamaReq = http.request(
-    {
-      hostname: 'localhost',
-      port: 11434,
-      path: '/api/chat',
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-    },
-    ollamaRes => {
-      res.setHeader('Content-Type', 'text/plain'); // Streamとして返す
-      ollamaRes.on('data', chunk => {
-        const lines = chunk.toString().split('\n');
-        for (const line of lines) {
-          if (!line.trim().startsWith('{')) continue;
-          const json = JSON.parse(line);
-          if (json.message?.content) res.write(json.message.content);
-        }
-      });
-      ollamaRes.on('end', () => res.end());
+  let clientClosed = false;
+  let doneSent = false;
+  const startedAt = Date.now();
+  let timeToFirstTokenMs = null;
+
+  // Ollamaの1行（JSON）をイベントに変換して送る
+  const handleOllamaLine = (line) => {
+    if (!line.trim()) return;
+
+    let json;
+    try {
+      json = JSON.parse(line);
+    } catch (err) {
+      writeEvent(res, { type: 'error', error: `Invalid response from Ollama: ${line.substring(0, 200)}` });
+      return;
     }
-  );
 
-  ollamaReq.on('error', () => {
-    res.status(500).end('Ollama stream error');
-  });
+    if (json.error) {
+      writeEvent(res, { type: 'error', error: json.error });
+      return;
+    }
+    if (json.message?.thinking) {
+      writeEvent(res, { type: 'thinking', content: json.message.thinking });
+    }
+    if (json.message?.content) {
+      if (timeToFirstTokenMs === null) timeToFirstTokenMs = Date.now() - startedAt;
+      writeEvent(res, { type: 'content', content: json.message.content });
+    }
+    if (json.message?.tool_calls?.length > 0) {
+      writeEvent(res, { type: 'tool_call', tool_calls: json.message.tool_calls });
+    }
+    if (json.done) {
+      writeEvent(res, { type: 'stats', stats: buildGenerationStats(json, timeToFirstTokenMs) });
+      writeEvent(res, { type: 'done', done_reason: json.done_reason });
+      doneSent = true;
+    }
+  };
 
-  //const fullPrompt = system_prompt ? `${system_prompt}\n\n${prompt}` : prompt;
+  const finish = () => {
+    if (!doneSent) {
+      writeEvent(res, { type: 'done' });
+      doneSent = true;
+    }
+    res.end();
+  };
 
-  const body = JSON.stringify({
+  const ollamaReq = streamOllamaChat({
     model,
     messages,
-    stream: true,
-    options: {
-      temperature,
-      top_p,
-      top_k,
-      seed,
+    options,
+    // keep_alive, think, format はoptionsではなくリクエストのトップレベルに指定する
+    ...(keepAlive !== undefined && { keep_alive: keepAlive }),
+    ...(think !== undefined && { think }),
+    ...(format !== undefined && { format }),
+    ...(tools?.length > 0 && { tools })
+  }, {
+    onLine: handleOllamaLine,
+    onEnd: () => {
+      if (!clientClosed) finish();
+    },
+    onError: (err) => {
+      // クライアント切断によるabortの場合は何もしない
+      if (clientClosed) return;
+      writeEvent(res, { type: 'error', error: `Ollama stream error: ${err.message}` });
+      finish();
     }
   });
 
-  ollamaReq.write(body);
-  ollamaReq.end();
+  // クライアント（renderer）が接続を切った場合、Ollamaへのリクエストも破棄して生成を止める
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      ollamaReq.destroy();
+    }
+  });
 });
 
-app.get('/models', async (req, res) => {
+/**
+ * Reply with the merged model list of all Ollama endpoints
+ * Body: { models: [name], endpoints: { name: [endpoint names] } }
+ * @param {Object} res - Express response
+ */
+async function sendMergedModels(res) {
   try {
-    const response = await axios.get('http://localhost:11434/api/tags');
-    const models = response.data.models.map(m => m.name);
-    res.json({ models });
+    const models = await listOllamaModels();
+    res.json({
+      models: models.map(m => m.name),
+      endpoints: Object.fromEntries(models.map(m => [m.name, m.endpoints]))
+    });
   } catch (err) {
     res.status(500).json({ error: 'Ollama API not responding. Please make sure Ollama is running.' });
   }
+}
+
+app.get('/models', async (req, res) => {
+  await sendMergedModels(res);
+});
+
+// Get the capabilities of a model (e.g. "completion", "vision", "tools", "thinking") and its context sizes
+app.get('/model-capabilities', async (req, res) => {
+  const { model } = req.query;
+  if (!model) {
+    return res.status(400).json({ error: 'model required' });
+  }
+
+  try {
+    const response = await requestOllama(model, endpoint =>
+      axios.post(ollamaUrl('/api/show', endpoint), { model, name: model }, { headers: ollamaHeaders(endpoint) }));
+    let capabilities = response.data.capabilities;
+
+    // capabilitiesを返さない古いOllamaでは、プロジェクタ（画像エンコーダ）の有無でvisionを判定する
+    if (!Array.isArray(capabilities)) {
+      const modelInfoKeys = Object.keys(response.data.model_info || {});
+      const hasVision = !!response.data.projector_info || modelInfoKeys.some(key => key.includes('.vision.'));
+      capabilities = hasVision ? ['completion', 'vision'] : ['completion'];
+    }
+
+    // contextLength: 学習時のコンテキスト長（model_infoの "<arch>.context_length"）
+    // numCtx: ModelfileのPARAMETER num_ctx（未設定ならnull、Ollamaのデフォルトが使われる）
+    const contextKey = Object.keys(response.data.model_info || {}).find(key => key.endsWith('.context_length'));
+    const contextLength = contextKey ? response.data.model_info[contextKey] : null;
+    const numCtxMatch = (response.data.parameters || '').match(/^num_ctx\s+(\d+)/m);
+    const numCtx = numCtxMatch ? parseInt(numCtxMatch[1], 10) : null;
+
+    res.json({ model, capabilities, contextLength, numCtx });
+  } catch (err) {
+    const status = err.response?.status === 404 ? 404 : 500;
+    res.status(status).json({ error: err.response?.data?.error || 'Ollama API not responding. Please make sure Ollama is running.' });
+  }
 });
 
 // Get all models (no filtering)
 app.get('/embedding-models', async (req, res) => {
+  await sendMergedModels(res);
+});
+
+// ==========================================
+// API Token (/v1 and the REST API)
+// ==========================================
+
+// トークンは初回起動時に生成してベクターDBのディレクトリに保存する（再起動しても変わらない）
+const API_TOKEN_PATH = path.join(ragStore.VECTOR_DIR, 'api-token');
+let apiToken = null;
+
+/**
+ * Token of the /v1 endpoints and the REST API, created on first use
+ * @returns {string} Token (sent as "Authorization: Bearer <token>")
+ */
+function getApiToken() {
+  if (apiToken) return apiToken;
+
+  if (fs.existsSync(API_TOKEN_PATH)) {
+    apiToken = fs.readFileSync(API_TOKEN_PATH, 'utf-8').trim();
+  }
+  if (!apiToken) {
+    apiToken = randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(API_TOKEN_PATH), { recursive: true });
+    fs.writeFileSync(API_TOKEN_PATH, apiToken, { encoding: 'utf-8', mode: 0o600 });
+    console.log(`[INFO] Created REST API token: ${API_TOKEN_PATH}`);
+  }
+  return apiToken;
+}
+
+const API_TOKEN_ERROR = 'Missing or invalid API token. Send it as "Authorization: Bearer <token>".';
+
+// Whether the request carries the API token
+function hasApiToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  const given = Buffer.from(match ? match[1] : '');
+  const expected = Buffer.from(getApiToken());
+  return given.length === expected.length && timingSafeEqual(given, expected);
+}
+
+// Middleware: reject requests without the API token
+function requireApiToken(req, res, next) {
+  if (!hasApiToken(req)) {
+    return res.status(401).json({ error: API_TOKEN_ERROR });
+  }
+  next();
+}
+
+// Middleware for /v1: the same token, with the error in the OpenAI format
+// （rag:モデルは文書のチャンクを返すため、他のWebページや端末から呼べないようにする）
+function requireOpenAIApiToken(req, res, next) {
+  if (!hasApiToken(req)) {
+    return res.status(401).json(toOpenAIError(API_TOKEN_ERROR, 'invalid_request_error', 'invalid_api_key'));
+  }
+  next();
+}
+
+// ==========================================
+// OpenAI-compatible API (/v1)
+// ==========================================
+
+// Reply with the error of a failed Ollama request in the OpenAI format
+function sendOllamaError(res, err) {
+  if (err.response) {
+    const status = err.response.status;
+    const message = err.response.data?.error || `Ollama returned HTTP ${status}`;
+    res.status(status).json(toOpenAIError(message, status === 404 ? 'not_found_error' : 'invalid_request_error',
+      status === 404 ? 'model_not_found' : null));
+  } else {
+    res.status(502).json(toOpenAIError('Ollama API not responding. Please make sure Ollama is running.', 'api_error'));
+  }
+}
+
+/**
+ * Write one Server-Sent Event of a streamed chat completion
+ * @param {Object} res - Express response
+ * @param {Object|string} data - Chunk object, or "[DONE]"
+ */
+function writeSSE(res, data) {
+  if (!res.headersSent) {
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+  }
+  res.write(`data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a chat completion as chat.completion.chunk events
+ * @param {Object} res - Express response
+ * @param {Object} ollamaBody - Body for Ollama's /api/chat
+ * @param {Object} meta - { id, created, model, includeUsage, ragSources }
+ */
+function streamChatCompletion(res, ollamaBody, { id, created, model, includeUsage, ragSources }) {
+  let clientClosed = false;
+  let finished = false;
+  let started = false;
+  let toolCallCount = 0;
+
+  const toChunk = (delta, finishReason = null, extra = {}) => ({
+    id,
+    object: 'chat.completion.chunk',
+    created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }],
+    ...extra
+  });
+
+  const finish = () => {
+    if (finished) return;
+    finished = true;
+    writeSSE(res, '[DONE]');
+    res.end();
+  };
+
+  const handleOllamaLine = (line, statusCode) => {
+    if (!line.trim() || finished) return;
+
+    let json;
+    try {
+      json = JSON.parse(line);
+    } catch (err) {
+      writeSSE(res, toOpenAIError(`Invalid response from Ollama: ${line.substring(0, 200)}`, 'api_error'));
+      return;
+    }
+
+    if (json.error) {
+      // ストリーム開始前のエラー（モデルが見つからない等）は通常のHTTPエラーとして返す
+      if (!res.headersSent) {
+        finished = true;
+        res.status(statusCode >= 400 ? statusCode : 500).json(toOpenAIError(json.error,
+          statusCode === 404 ? 'not_found_error' : 'api_error', statusCode === 404 ? 'model_not_found' : null));
+      } else {
+        writeSSE(res, toOpenAIError(json.error, 'api_error'));
+      }
+      return;
+    }
+
+    // 最初のチャンクでroleを送る（RAGモデルの場合は出典も）
+    if (!started) {
+      started = true;
+      writeSSE(res, toChunk({ role: 'assistant', content: '' }, null, ragSources ? { rag_sources: ragSources } : {}));
+    }
+    if (json.message?.thinking) {
+      writeSSE(res, toChunk({ reasoning_content: json.message.thinking }));
+    }
+    if (json.message?.content) {
+      writeSSE(res, toChunk({ content: json.message.content }));
+    }
+    if (json.message?.tool_calls?.length > 0) {
+      writeSSE(res, toChunk({ tool_calls: toOpenAIToolCalls(json.message.tool_calls, toolCallCount) }));
+      toolCallCount += json.message.tool_calls.length;
+    }
+    if (json.done) {
+      writeSSE(res, toChunk({}, toFinishReason(json.done_reason, toolCallCount > 0)));
+      if (includeUsage) {
+        writeSSE(res, { id, object: 'chat.completion.chunk', created, model, choices: [], usage: toUsage(json) });
+      }
+      finish();
+    }
+  };
+
+  const ollamaReq = streamOllamaChat(ollamaBody, {
+    onLine: handleOllamaLine,
+    onEnd: () => {
+      if (!clientClosed) finish();
+    },
+    onError: (err) => {
+      if (clientClosed || finished) return;
+      if (!res.headersSent) {
+        finished = true;
+        res.status(502).json(toOpenAIError(`Ollama stream error: ${err.message}`, 'api_error'));
+        return;
+      }
+      writeSSE(res, toOpenAIError(`Ollama stream error: ${err.message}`, 'api_error'));
+      finish();
+    }
+  });
+
+  // クライアントが接続を切った場合、Ollamaへのリクエストも破棄して生成を止める
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      ollamaReq.destroy();
+    }
+  });
+}
+
+// List the Ollama models, plus a "rag:" virtual model for each
+app.get('/v1/models', requireOpenAIApiToken, async (req, res) => {
   try {
-    const response = await axios.get('http://localhost:11434/api/tags');
-    const models = response.data.models.map(m => m.name);
-    res.json({ models });
+    // 複数のエンドポイントにあるモデルも1つとして返す
+    const models = await listOllamaModels();
+    res.json({
+      object: 'list',
+      data: [
+        ...models.map(model => toModelObject(model)),
+        ...models.map(model => toModelObject(model, `${RAG_MODEL_PREFIX}${model.name}`))
+      ]
+    });
   } catch (err) {
-    res.status(500).json({ error: 'Ollama API not responding. Please make sure Ollama is running.' });
+    sendOllamaError(res, err);
+  }
+});
+
+app.post('/v1/embeddings', requireOpenAIApiToken, async (req, res) => {
+  const { model, input, encoding_format, dimensions } = req.body || {};
+  const inputs = Array.isArray(input) ? input : [input];
+
+  if (typeof model !== 'string' || !model) {
+    return res.status(400).json(toOpenAIError('model is required'));
+  }
+  if (inputs.length === 0 || inputs.some(item => typeof item !== 'string')) {
+    return res.status(400).json(toOpenAIError('input must be a string or an array of strings'));
+  }
+  if (encoding_format !== undefined && encoding_format !== 'float') {
+    return res.status(400).json(toOpenAIError('Only the "float" encoding_format is supported'));
+  }
+
+  try {
+    const response = await requestOllama(model, endpoint => axios.post(ollamaUrl('/api/embed', endpoint), {
+      model,
+      input: inputs,
+      ...(dimensions !== undefined && { dimensions })
+    }, { headers: ollamaHeaders(endpoint) }));
+    const promptTokens = response.data.prompt_eval_count ?? 0;
+    res.json({
+      object: 'list',
+      data: response.data.embeddings.map((embedding, index) => ({ object: 'embedding', index, embedding })),
+      model,
+      usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+    });
+  } catch (err) {
+    sendOllamaError(res, err);
+  }
+});
+
+app.post('/v1/chat/completions', requireOpenAIApiToken, async (req, res) => {
+  const body = req.body || {};
+  if (typeof body.model !== 'string' || !body.model || !Array.isArray(body.messages) || body.messages.length === 0) {
+    return res.status(400).json(toOpenAIError('model and messages[] are required'));
+  }
+
+  const { model, rag } = parseModelName(body.model);
+  const converted = toOllamaMessages(body.messages);
+  const { params, errors: paramErrors } = toOllamaParams(body);
+  const { options, keepAlive, think, format, errors: optionErrors } = validateChatOptions(params);
+  const errors = [...converted.errors, ...paramErrors, ...optionErrors];
+  if (body.tools !== undefined && (!Array.isArray(body.tools) || body.tools.some(tool => !tool?.function?.name))) {
+    errors.push('tools must be an array of function definitions');
+  }
+
+  const { options: ragOptions, errors: ragErrors } = toRagOptions(body.rag);
+  if (rag) errors.push(...ragErrors);
+  if (errors.length > 0) {
+    return res.status(400).json(toOpenAIError(`Invalid parameters: ${errors.join('; ')}`));
+  }
+
+  let messages = converted.messages;
+  let ragSources = null;
+  if (rag) {
+    const query = getRagQuery(messages);
+    if (query) {
+      try {
+        const { results } = await ragStore.searchFromStore(query, ragOptions.k, {
+          mode: ragOptions.mode,
+          useChunkRAG: true,
+          useGraphRAG: ragOptions.useGraphRAG,
+          chatModel: model, // Full-text/Hybrid検索のクエリ書き換えに使う
+          chatHistory: [],
+          retrieval: ragOptions.retrieval
+        });
+        if (results.length > 0) {
+          // クライアントのシステムプロンプトの後ろに参照情報を入れる
+          const firstOther = messages.findIndex(message => message.role !== 'system');
+          const insertAt = firstOther === -1 ? messages.length : firstOther;
+          messages = [...messages.slice(0, insertAt), buildRagSystemMessage(results), ...messages.slice(insertAt)];
+          ragSources = toRagSources(results);
+        }
+        console.log(`[INFO] RAG model ${body.model}: ${results.length} chunks injected`);
+      } catch (err) {
+        return res.status(500).json(toOpenAIError(`RAG search failed: ${err.message}`, 'api_error'));
+      }
+    }
+  }
+
+  const ollamaBody = {
+    model,
+    messages,
+    options,
+    ...(keepAlive !== undefined && { keep_alive: keepAlive }),
+    ...(think !== undefined && { think }),
+    ...(format !== undefined && { format }),
+    ...(body.tools?.length > 0 && { tools: body.tools })
+  };
+  const id = `chatcmpl-${randomUUID().replace(/-/g, '')}`;
+  const created = Math.floor(Date.now() / 1000);
+
+  if (body.stream) {
+    streamChatCompletion(res, ollamaBody, {
+      id,
+      created,
+      model: body.model,
+      includeUsage: !!body.stream_options?.include_usage,
+      ragSources
+    });
+    return;
+  }
+
+  try {
+    const response = await requestOllama(model, endpoint =>
+      axios.post(ollamaUrl('/api/chat', endpoint), { ...ollamaBody, stream: false }, { headers: ollamaHeaders(endpoint) }));
+    const done = response.data;
+    const toolCalls = done.message?.tool_calls?.length > 0
+      ? toOpenAIToolCalls(done.message.tool_calls).map(({ index, ...call }) => call)
+      : null;
+    res.json({
+      id,
+      object: 'chat.completion',
+      created,
+      model: body.model,
+      choices: [{
+        index: 0,
+        message: {
+          role: 'assistant',
+          content: done.message?.content ?? '',
+          ...(done.message?.thinking && { reasoning_content: done.message.thinking }),
+          ...(toolCalls && { tool_calls: toolCalls })
+        },
+        finish_reason: toFinishReason(done.done_reason, !!toolCalls)
+      }],
+      usage: toUsage(done),
+      ...(ragSources && { rag_sources: ragSources })
+    });
+  } catch (err) {
+    sendOllamaError(res, err);
+  }
+});
+
+// ==========================================
+// REST API for documents and retrieval
+// ==========================================
+
+const SUPPORTED_EXTENSIONS = ['.txt', '.md', '.pdf'];
+
+// GraphRAG extraction jobs started through the API, by document ID (progress for GET;
+// rag-store.js tracks every running extraction, also those started in the UI)
+const extractionJobs = new Map();
+
+// Read the :id parameter; replies 400/404 and returns null if there is no such document
+async function findDocument(req, res) {
+  const id = Number(req.params.id);
+  if (!Number.isInteger(id) || id < 1) {
+    res.status(400).json({ error: 'Document ID must be a positive integer' });
+    return null;
+  }
+  const document = await ragStore.getDocument(id);
+  if (!document) {
+    res.status(404).json({ error: `Document not found: ${id}` });
+    return null;
+  }
+  return document;
+}
+
+app.get('/documents', requireApiToken, async (req, res) => {
+  try {
+    res.json({ documents: await ragStore.listDocuments() });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
   }
 });
 
+// Add a document by its path on this computer (same as "Upload Documents" in the app)
+app.post('/documents', requireApiToken, async (req, res) => {
+  const filePath = req.body?.path;
+  if (typeof filePath !== 'string' || !path.isAbsolute(filePath)) {
+    return res.status(400).json({ error: 'path must be an absolute file path' });
+  }
+  if (!SUPPORTED_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+    return res.status(400).json({ error: `Unsupported file type. Supported: ${SUPPORTED_EXTENSIONS.join(', ')}` });
+  }
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({ error: `File not found: ${filePath}` });
+  }
+
+  try {
+    const modelCheck = await ragStore.checkEmbedModelExists();
+    if (!modelCheck.exists) {
+      return res.status(409).json({
+        error: `Embedding model "${modelCheck.currentModel}" not found in Ollama. Please install it with: ollama pull ${modelCheck.currentModel}`
+      });
+    }
+
+    const chunks = await ragStore.readAndSplit(filePath);
+    if (chunks.length === 0) {
+      return res.status(422).json({ error: 'No text could be extracted from the document' });
+    }
+    await ragStore.saveChunksToFaiss(chunks);
+    ragStore.saveSourceMeta(filePath);
+
+    const documents = await ragStore.listDocuments();
+    const document = documents.find(item =>
+      item.source === filePath && item.embeddingModel === chunks[0].metadata.embeddingModel);
+    console.log(`[INFO] REST API: added ${filePath} (${chunks.length} chunks)`);
+    res.status(201).json({ document });
+  } catch (err) {
+    console.error('[ERROR] REST API: failed to add document:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+app.delete('/documents/:id', requireApiToken, async (req, res) => {
+  const document = await findDocument(req, res);
+  if (!document) return;
+
+  // 管理画面から開始した抽出も含めて確認する
+  if (ragStore.isGraphRAGExtractionRunning(document.source)) {
+    return res.status(409).json({ error: 'GraphRAG extraction is running for this document' });
+  }
+
+  try {
+    await ragStore.deleteDocumentFromStore(document.source);
+    extractionJobs.delete(document.id);
+    console.log(`[INFO] REST API: deleted ${document.source}`);
+    res.json({ success: true, id: document.id, source: document.source });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Search the documents like a RAG question in the chat; returns the chunks and the retrieval trace
+app.post('/search', requireApiToken, async (req, res) => {
+  const {
+    query,
+    k = 3,
+    mode = 'embedding',
+    useChunkRAG = true,
+    useGraphRAG = false,
+    chatModel = null,
+    retrieval = {}
+  } = req.body || {};
+
+  const errors = [];
+  if (typeof query !== 'string' || !query.trim()) {
+    errors.push('query must be a non-empty string');
+  }
+  if (!Number.isInteger(k) || k < 1 || k > 20) {
+    errors.push('k must be an integer between 1 and 20');
+  }
+  if (!RAG_MODES.includes(mode)) {
+    errors.push(`mode must be one of ${RAG_MODES.join(', ')}`);
+  }
+  if (typeof useChunkRAG !== 'boolean' || typeof useGraphRAG !== 'boolean') {
+    errors.push('useChunkRAG and useGraphRAG must be booleans');
+  } else if (!useChunkRAG && !useGraphRAG) {
+    errors.push('useChunkRAG and useGraphRAG cannot both be false');
+  }
+  if (chatModel !== null && typeof chatModel !== 'string') {
+    errors.push('chatModel must be a string');
+  }
+  errors.push(...validateRetrievalSettings(retrieval).errors);
+  if (errors.length > 0) {
+    return res.status(400).json({ error: `Invalid parameters: ${errors.join('; ')}` });
+  }
+
+  try {
+    const { results, trace } = await ragStore.searchFromStore(query, k, {
+      mode,
+      useChunkRAG,
+      useGraphRAG,
+      chatModel, // Full-text/Hybrid検索のクエリ書き換えに使う（省略時は書き換えない）
+      chatHistory: [],
+      retrieval
+    });
+    res.json({
+      results: results.map(({ pageContent, metadata }) => ({ pageContent, metadata })),
+      trace
+    });
+  } catch (err) {
+    console.error('[ERROR] REST API: search failed:', err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start the GraphRAG extraction of a document in the background; poll GET for the progress
+app.post('/graphrag/extract/:id', requireApiToken, async (req, res) => {
+  const document = await findDocument(req, res);
+  if (!document) return;
+
+  const model = req.body?.model;
+  if (typeof model !== 'string' || !model) {
+    return res.status(400).json({ error: 'model (chat model for the extraction) is required' });
+  }
+  if (ragStore.isGraphRAGExtractionRunning(document.source)) {
+    return res.status(409).json({
+      error: 'GraphRAG extraction is already running for this document',
+      job: extractionJobs.get(document.id) || null
+    });
+  }
+
+  const job = {
+    documentId: document.id,
+    source: document.source,
+    model,
+    status: 'running',
+    progress: null,
+    result: null,
+    error: null,
+    startedAt: new Date().toISOString(),
+    finishedAt: null
+  };
+  extractionJobs.set(document.id, job);
+
+  ragStore.extractGraphRAGForDocument(document.source, model, progress => {
+    job.progress = progress;
+  }).then(result => {
+    job.status = 'completed';
+    job.result = result;
+  }).catch(err => {
+    job.status = 'failed';
+    job.error = err.message;
+  }).finally(() => {
+    job.finishedAt = new Date().toISOString();
+  });
+
+  res.status(202).location(`/graphrag/extract/${document.id}`).json({ job });
+});
+
+// Progress of the extraction job, and how much of the document has been extracted so far
+app.get('/graphrag/extract/:id', requireApiToken, async (req, res) => {
+  const document = await findDocument(req, res);
+  if (!document) return;
+
+  res.json({
+    job: extractionJobs.get(document.id) || null,
+    graphrag: document.graphrag
+  });
+});
+
 // ポートを自動的に選択してサーバーを起動
 function startServer(port, maxRetries = 10) {
-  const server = app.listen(port, () => {
+  // 他の端末からは接続できないよう、ループバックでのみ待ち受ける
+  const server = app.listen(port, '127.0.0.1', () => {
     serverPort = port;
   });
 
@@ -129,5 +890,6 @@ startServer(PORT);
 module.exports = {
   getPort: () => {
     return serverPort;
-  }
+  },
+  getApiToken
 };
@@ -0,0 +1,78 @@
+/**
+ * Text Matching
+ *
+ * Locates a stored chunk in the text of its source document. The chunk
+ * text can differ from the document in whitespace (PDF text items are
+ * joined with spaces, the text splitter trims and rejoins), so the search
+ * ignores whitespace differences and maps the result back to offsets in
+ * the original text.
+ */
+
+// 完全一致しない場合に、チャンクの先頭・末尾だけで探す文字数
+const ANCHOR_LENGTH = 80;
+
+/**
+ * Collapse whitespace and remember where each character came from
+ * @param {string} text - Original text
+ * @returns {{normalized: string, offsets: Array<number>}} Normalized text and the original offset of each character
+ */
+function normalizeWithOffsets(text) {
+  let normalized = '';
+  const offsets = [];
+  for (let i = 0; i < text.length; i++) {
+    if (/\s/.test(text[i])) {
+      if (normalized && !normalized.endsWith(' ')) {
+        normalized += ' ';
+        offsets.push(i);
+      }
+    } else {
+      normalized += text[i];
+      offsets.push(i);
+    }
+  }
+  return { normalized, offsets };
+}
+
+/**
+ * Find a chunk in a document text, ignoring whitespace differences
+ * If the whole chunk is not found, its first and last characters are used
+ * as anchors (exact: false).
+ * @param {string} text - Document or page text
+ * @param {string} chunk - Chunk text to find
+ * @returns {{start: number, end: number, exact: boolean}|null} Range in the original text, or null if not found
+ */
+function findTextRange(text, chunk) {
+  const needle = (chunk || '').replace(/\s+/g, ' ').trim();
+  if (!needle || !text) {
+    return null;
+  }
+
+  const { normalized, offsets } = normalizeWithOffsets(text);
+  let start = normalized.indexOf(needle);
+  let end = start + needle.length;
+  const exact = start >= 0;
+
+  if (!exact) {
+    const head = needle.slice(0, ANCHOR_LENGTH).trim();
+    const tail = needle.slice(-ANCHOR_LENGTH).trim();
+    const headIndex = normalized.indexOf(head);
+    if (headIndex >= 0) {
+      const tailIndex = normalized.indexOf(tail, headIndex);
+      start = headIndex;
+      end = tailIndex >= 0 ? tailIndex + tail.length : headIndex + head.length;
+    } else {
+      const tailIndex = normalized.indexOf(tail);
+      if (tailIndex < 0) {
+        return null;
+      }
+      start = tailIndex;
+      end = tailIndex + tail.length;
+    }
+  }
+
+  return { start: offsets[start], end: offsets[end - 1] + 1, exact };
+}
+
+module.exports = {
+  findTextRange
+};
@@ -0,0 +1,123 @@
+/**
+ * Tool Registry
+ *
+ * Local tools that models can call through Ollama's `tools` field.
+ * A tool is registered with a JSON-schema description for the model and an
+ * execute() function that runs in the renderer:
+ *
+ *   registerTool({
+ *     name: 'my_tool',
+ *     description: 'What the tool does',
+ *     parameters: { type: 'object', properties: { ... }, required: [...] },
+ *     execute: async (args, context) => 'Result text for the model'
+ *   });
+ */
+
+const tools = new Map();
+
+// 1回の回答で実行するツール呼び出しラウンドの上限（無限ループ防止）
+export const MAX_TOOL_ROUNDS = 5;
+
+/**
+ * Register a tool (an existing tool with the same name is replaced)
+ * @param {Object} tool - { name, description, parameters, execute }
+ */
+export function registerTool(tool) {
+  if (!tool?.name || typeof tool.execute !== 'function') {
+    throw new Error('A tool needs a name and an execute() function');
+  }
+  tools.set(tool.name, tool);
+}
+
+/**
+ * Get all registered tools
+ * @returns {Array<Object>} Tools in registration order
+ */
+export function listTools() {
+  return [...tools.values()];
+}
+
+/**
+ * Build the `tools` array for Ollama's /api/chat
+ * @returns {Array<Object>} Tool definitions in function-calling format
+ */
+export function getToolDefinitions() {
+  return listTools().map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+  }));
+}
+
+// 停止ボタンが押されたらツールの完了を待たずにAbortErrorで終わる
+// （IPC経由の検索などは途中で止められないため、結果は捨てる）
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(new DOMException('Generation stopped by user', 'AbortError'));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+}
+
+/**
+ * Execute one tool call requested by the model
+ * Errors are returned as the result so that the model can react to them;
+ * only stopping the generation (context.signal) rejects, with an AbortError.
+ * @param {Object} call - Tool call from Ollama ({ function: { name, arguments } })
+ * @param {Object} context - Chat context passed to the tool (model, ragSettings, signal)
+ * @returns {Promise<{name: string, arguments: Object, result: string, error: boolean}>}
+ */
+export async function executeToolCall(call, context = {}) {
+  const name = call.function?.name;
+  let args = call.function?.arguments ?? {};
+
+  // 一部のモデルは引数をJSON文字列で返す
+  if (typeof args === 'string') {
+    try {
+      args = JSON.parse(args);
+    } catch (error) {
+      return { name, arguments: args, result: `Error: arguments are not valid JSON: ${error.message}`, error: true };
+    }
+  }
+
+  const tool = tools.get(name);
+  if (!tool) {
+    return { name, arguments: args, result: `Error: unknown tool "${name}"`, error: true };
+  }
+
+  try {
+    console.log(`[Tools] Executing ${name}:`, args);
+    const result = await untilAborted(tool.execute(args, context), context.signal);
+    return {
+      name,
+      arguments: args,
+      result: typeof result === 'string' ? result : JSON.stringify(result, null, 2),
+      error: false
+    };
+  } catch (error) {
+    if (error.name === 'AbortError') throw error;
+    console.error(`[Tools] ${name} failed:`, error);
+    return { name, arguments: args, result: `Error: ${error.message}`, error: true };
+  }
+}
+
+/**
+ * Expand stored tool rounds into the messages Ollama expects
+ * (an assistant message with tool_calls followed by one "tool" message per result)
+ * @param {Array<Object>} rounds - [{ content, calls: [{ name, arguments, result }] }]
+ * @returns {Array<Object>} Chat messages
+ */
+export function toolRoundsToMessages(rounds = []) {
+  return rounds.flatMap(round => [
+    {
+      role: 'assistant',
+      content: round.content || '',
+      tool_calls: round.calls.map(call => ({ function: { name: call.name, arguments: call.arguments } }))
+    },
+    ...round.calls.map(call => ({ role: 'tool', tool_name: call.name, content: call.result }))
+  ]);
+}
@@ -7,6 +7,9 @@ module.exports = {
   entry: {
     renderer: './src/renderer.js',
     'manage-rag': './src/manage-rag.js',
+    compare: './src/compare.js',
+    'document-viewer': './src/document-viewer.js',
+    'manage-models': './src/manage-models.js',
   },
   output: {
     path: path.resolve(__dirname, 'build'),
@@ -46,6 +49,21 @@ module.exports = {
       filename: 'manage-rag.html',
       chunks: ['manage-rag'],
     }),
+    new HtmlWebpackPlugin({
+      template: './public/compare.html',
+      filename: 'compare.html',
+      chunks: ['compare'],
+    }),
+    new HtmlWebpackPlugin({
+      template: './public/document-viewer.html',
+      filename: 'document-viewer.html',
+      chunks: ['document-viewer'],
+    }),
+    new HtmlWebpackPlugin({
+      template: './public/manage-models.html',
+      filename: 'manage-models.html',
+      chunks: ['manage-models'],
+    }),
     new CopyWebpackPlugin({
         patterns: [
           { from: 'public/style.css', to: 'style.css' },